@@ -0,0 +1,259 @@
+import Joi from "joi";
+import Ride from "../models/Ride.js";
+import RideStat, { RIDE_FACT_FIELDS } from "../models/RideStat.js";
+import { offsetString } from "../utils/rideQuery.js";
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Schema exports
+// Every report covers rides departing in [from, to); utcOffset sets the
+// local time used for weekdays, hours and trend buckets
+export const analyticsRangeSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  utcOffset: Joi.number().integer().min(-840).max(840).default(0),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  interval: Joi.string().valid("day", "week", "month").default("day")
+});
+
+// The admin's college and date range as the opening stages, or an error
+// message. Ended rides are read from RideStat, since their Ride documents
+// expire; rides still running, or that ended before RideStat existed, are
+// read live from Ride. Both come out with the RIDE_FACT_FIELDS shape.
+const rangeMatch = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 3600 * 1000);
+
+  if (from >= to) return { error: "`from` must be before `to`" };
+  if (to - from > MAX_RANGE_DAYS * 24 * 3600 * 1000) {
+    return { error: `The date range can span at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  const inRange = { $match: { creatorCollegeId: req.user.collegeId, dateTime: { $gte: from, $lt: to } } };
+  return {
+    from,
+    to,
+    stages: [
+      inRange,
+      { $project: RIDE_FACT_FIELDS },
+      {
+        $unionWith: {
+          coll: Ride.collection.name,
+          pipeline: [
+            inRange,
+            { $lookup: { from: RideStat.collection.name, localField: "_id", foreignField: "rideId", as: "stat" } },
+            { $match: { stat: { $size: 0 } } },
+            // Seats offered count the creator's free seats plus the seats passengers hold
+            {
+              $project: {
+                ...RIDE_FACT_FIELDS,
+                rideId: "$_id",
+                seatsOffered: { $add: [{ $max: ["$availableSeats", 0] }, Ride.seatsTakenExpr()] },
+                seatsFilled: Ride.seatsTakenExpr(),
+                passengers: { $size: "$confirmedUsers" }
+              }
+            }
+          ]
+        }
+      }
+    ]
+  };
+};
+
+const fillRateExpr = {
+  $cond: [
+    { $gt: ["$seatsOffered", 0] },
+    { $round: [{ $divide: ["$seatsFilled", "$seatsOffered"] }, 3] },
+    null
+  ]
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Controller functions
+
+export const getFillRate = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const range = rangeMatch(req);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    // Cancelled rides never ran, so their empty seats are not counted
+    const routes = await RideStat.aggregate([
+      ...range.stages,
+      { $match: { status: { $ne: "CANCELLED" } } },
+      {
+        $group: {
+          _id: { from: "$fromLocation", to: "$toLocation" },
+          rides: { $sum: 1 },
+          seatsOffered: { $sum: "$seatsOffered" },
+          seatsFilled: { $sum: "$seatsFilled" }
+        }
+      },
+      { $addFields: { fillRate: fillRateExpr } },
+      { $sort: { rides: -1, "_id.from": 1, "_id.to": 1 } },
+      { $limit: req.query.limit },
+      { $project: { _id: 0, fromLocation: "$_id.from", toLocation: "$_id.to", rides: 1, seatsOffered: 1, seatsFilled: 1, fillRate: 1 } }
+    ]);
+
+    res.json({ from: range.from, to: range.to, routes });
+  } catch (error) {
+    console.error("Error getting fill rate analytics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getTimeDistribution = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const range = rangeMatch(req);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const timezone = offsetString(req.query.utcOffset);
+
+    const [result] = await RideStat.aggregate([
+      ...range.stages,
+      {
+        $facet: {
+          byWeekday: [
+            { $group: { _id: { $dayOfWeek: { date: "$dateTime", timezone } }, rides: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          byHour: [
+            { $group: { _id: { $hour: { date: "$dateTime", timezone } }, rides: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Fill in empty weekdays and hours so clients can chart them directly
+    const weekdayCounts = new Map(result.byWeekday.map(entry => [entry._id, entry.rides]));
+    const hourCounts = new Map(result.byHour.map(entry => [entry._id, entry.rides]));
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      byWeekday: WEEKDAYS.map((day, index) => ({ weekday: day, rides: weekdayCounts.get(index + 1) || 0 })),
+      byHour: Array.from({ length: 24 }, (_, hour) => ({ hour, rides: hourCounts.get(hour) || 0 }))
+    });
+  } catch (error) {
+    console.error("Error getting time distribution analytics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Rides that have departed without a single confirmed passenger
+export const getUnmatched = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const range = rangeMatch(req);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const [totals] = await RideStat.aggregate([
+      ...range.stages,
+      { $match: { dateTime: { $lt: new Date() } } },
+      {
+        $group: {
+          _id: null,
+          rides: { $sum: 1 },
+          unmatched: { $sum: { $cond: [{ $eq: ["$passengers", 0] }, 1, 0] } },
+          unmatchedCancelled: {
+            $sum: { $cond: [{ $and: [{ $eq: ["$passengers", 0] }, { $eq: ["$status", "CANCELLED"] }] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const rides = totals?.rides || 0;
+    const unmatched = totals?.unmatched || 0;
+    res.json({
+      from: range.from,
+      to: range.to,
+      rides,
+      unmatched,
+      unmatchedCancelled: totals?.unmatchedCancelled || 0,
+      unmatchedShare: rides ? Math.round((unmatched / rides) * 1000) / 1000 : null
+    });
+  } catch (error) {
+    console.error("Error getting unmatched analytics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getBusiestPairs = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const range = rangeMatch(req);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const pairs = await RideStat.aggregate([
+      ...range.stages,
+      { $match: { status: { $ne: "CANCELLED" } } },
+      {
+        $group: {
+          _id: { from: "$fromLocation", to: "$toLocation" },
+          rides: { $sum: 1 },
+          passengers: { $sum: "$passengers" },
+          creators: { $addToSet: "$creatorId" }
+        }
+      },
+      { $sort: { rides: -1, passengers: -1 } },
+      { $limit: req.query.limit },
+      {
+        $project: {
+          _id: 0,
+          fromLocation: "$_id.from",
+          toLocation: "$_id.to",
+          rides: 1,
+          passengers: 1,
+          distinctCreators: { $size: "$creators" }
+        }
+      }
+    ]);
+
+    res.json({ from: range.from, to: range.to, pairs });
+  } catch (error) {
+    console.error("Error getting busiest pairs analytics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getTrends = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const range = rangeMatch(req);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const timezone = offsetString(req.query.utcOffset);
+
+    const buckets = await RideStat.aggregate([
+      ...range.stages,
+      {
+        $group: {
+          _id: { $dateTrunc: { date: "$dateTime", unit: req.query.interval, timezone, startOfWeek: "monday" } },
+          rides: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ["$status", "CANCELLED"] }, 1, 0] } },
+          unmatched: { $sum: { $cond: [{ $eq: ["$passengers", 0] }, 1, 0] } },
+          passengers: { $sum: "$passengers" },
+          seatsOffered: { $sum: { $cond: [{ $eq: ["$status", "CANCELLED"] }, 0, "$seatsOffered"] } },
+          seatsFilled: { $sum: { $cond: [{ $eq: ["$status", "CANCELLED"] }, 0, "$seatsFilled"] } }
+        }
+      },
+      { $addFields: { fillRate: fillRateExpr } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, periodStart: "$_id", rides: 1, cancelled: 1, unmatched: 1, passengers: 1, seatsOffered: 1, seatsFilled: 1, fillRate: 1 } }
+    ]);
+
+    res.json({ from: range.from, to: range.to, interval: req.query.interval, buckets });
+  } catch (error) {
+    console.error("Error getting trend analytics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
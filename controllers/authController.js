@@ -4,6 +4,7 @@ import { signToken } from "../utils/jwt.js";
 import Joi from "joi";
 import crypto from "crypto";
 import { sendEmail } from "../config/mailer.js";
+import Rating, { EMPTY_RATING } from "../models/Rating.js";
 
 export const signupSchema = Joi.object({
     name: Joi.string().min(2).max(80).required(),
@@ -35,7 +36,7 @@ export const getProfile = async (req, res) => {
     try {
         const { data: user, error } = await supabaseAdmin
             .from('users')
-            .select('id, name, email, phone, gender, department, year, college_id, role, colleges(name, email_domain)')
+            .select('id, name, email, phone, gender, department, year, college_id, role, reminder_offsets, colleges(name, email_domain)')
             .eq('id', req.user.id)
             .single();
 
@@ -49,10 +50,15 @@ export const getProfile = async (req, res) => {
             ...user,
             collegeId: user.college_id,
             collegeName: user.colleges.name,
-            emailDomain: user.colleges.email_domain
+            emailDomain: user.colleges.email_domain,
+            reminderOffsets: user.reminder_offsets
         };
         delete transformedUser.colleges;
         delete transformedUser.college_id;
+        delete transformedUser.reminder_offsets;
+
+        const ratings = await Rating.summaries([user.id]);
+        transformedUser.rating = ratings[user.id] || EMPTY_RATING;
 
         res.json({ user: transformedUser });
     } catch (error) {
@@ -324,7 +330,9 @@ export const updateProfileSchema = Joi.object({
   gender: Joi.string().valid('male', 'female', 'other').optional(),
   role: Joi.string().valid('student', 'professor', 'employee').optional(),
   department: Joi.string().max(100).optional().allow('', null),
-  year: Joi.number().integer().min(1).max(5).optional().allow(null)
+  year: Joi.number().integer().min(1).max(5).optional().allow(null),
+  // Minutes before departure to send ride reminders; [] turns them off
+  reminderOffsets: Joi.array().items(Joi.number().integer().min(5).max(2880)).unique().max(4).optional()
 });
 
 export const updateProfile = async (req, res) => {
@@ -340,6 +348,7 @@ export const updateProfile = async (req, res) => {
     if (req.body.role) updateData.role = req.body.role;
     if (department !== undefined) updateData.department = department || null;
     if (year !== undefined) updateData.year = year || null;
+    if (req.body.reminderOffsets) updateData.reminder_offsets = req.body.reminderOffsets;
     
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({ message: "No fields to update" });
@@ -349,7 +358,7 @@ export const updateProfile = async (req, res) => {
       .from('users')
       .update(updateData)
       .eq('id', req.user.id)
-      .select('id, name, email, phone, gender, department, year, college_id, role')
+      .select('id, name, email, phone, gender, department, year, college_id, role, reminder_offsets')
       .single();
 
     if (error) {
@@ -360,9 +369,11 @@ export const updateProfile = async (req, res) => {
     // Transform response to match expected format
     const user = {
       ...data,
-      collegeId: data.college_id
+      collegeId: data.college_id,
+      reminderOffsets: data.reminder_offsets
     };
     delete user.college_id;
+    delete user.reminder_offsets;
     
     res.json({ user, message: "Profile updated successfully" });
   } catch (error) {
@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import CalendarFeed from "../models/CalendarFeed.js";
+import Ride from "../models/Ride.js";
+import { rideEvent, buildCalendar } from "../utils/ical.js";
+import { supabaseAdmin } from "../config/supabase.js";
+
+// The feed keeps rides that left up to this long ago
+const FEED_HISTORY_DAYS = 30;
+const MAX_FEED_RIDES = 500;
+
+const appUrl = () => process.env.APP_URL || process.env.RENDER_EXTERNAL_URL || 'https://campus-rideshare.onrender.com';
+const feedUrl = (token) => `${appUrl()}/api/calendar/feed/${token}.ics`;
+
+const creatorNames = async (rides) => {
+  const creatorIds = [...new Set(rides.map(ride => ride.creatorId))];
+  if (!creatorIds.length) return {};
+
+  const { data: creators, error } = await supabaseAdmin
+    .from('users')
+    .select('id, name')
+    .in('id', creatorIds);
+  if (error) console.error("Error fetching creators for calendar:", error);
+
+  const names = {};
+  (creators || []).forEach(creator => {
+    names[creator.id] = creator.name;
+  });
+  return names;
+};
+
+const eventsFor = async (rides) => {
+  const names = await creatorNames(rides);
+  return rides.map(ride => rideEvent(ride, {
+    creatorName: names[ride.creatorId],
+    url: `${appUrl()}/my_rides.html`
+  }));
+};
+
+// Controller functions
+
+export const getFeedLink = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { userId: req.user.id },
+      {
+        $setOnInsert: { token: crypto.randomBytes(32).toString('hex') },
+        $set: { collegeId: req.user.collegeId }
+      },
+      { new: true, upsert: true }
+    );
+
+    res.json({ url: feedUrl(feed.token) });
+  } catch (error) {
+    console.error("Error getting calendar feed link:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// A new token makes the old feed URL stop working
+export const resetFeedLink = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { userId: req.user.id },
+      { $set: { token: crypto.randomBytes(32).toString('hex'), collegeId: req.user.collegeId } },
+      { new: true, upsert: true }
+    );
+
+    res.json({ message: "Calendar link reset", url: feedUrl(feed.token) });
+  } catch (error) {
+    console.error("Error resetting calendar feed link:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Public: calendar apps authenticate with the token in the URL. Covers the
+// rides the user created or is confirmed on, like getUserRides.
+export const getFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { token: req.params.token },
+      { $set: { lastFetchedAt: new Date() } },
+      { new: true }
+    );
+    if (!feed) return res.status(404).json({ message: "Calendar feed not found" });
+
+    const rides = await Ride.find({
+      creatorCollegeId: feed.collegeId,
+      $or: [{ creatorId: feed.userId }, { confirmedUsers: feed.userId }],
+      dateTime: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 3600 * 1000) }
+    }).select("-bookings -waitlist").sort({ dateTime: 1 }).limit(MAX_FEED_RIDES).lean();
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(buildCalendar(await eventsFor(rides), "GoTogether rides"));
+  } catch (error) {
+    console.error("Error building calendar feed:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getRideCalendar = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const ride = await Ride.findById(req.params.rideId).select("-bookings -waitlist").lean();
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+
+    if (ride.creatorId !== req.user.id && !ride.confirmedUsers.includes(req.user.id)) {
+      return res.status(403).json({ message: "Only the creator and confirmed passengers can add this ride to a calendar" });
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="ride-${ride._id}.ics"`);
+    res.send(buildCalendar(await eventsFor([ride])));
+  } catch (error) {
+    console.error("Error building ride calendar:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,118 @@
+import Joi from "joi";
+import FareShare from "../models/FareShare.js";
+import { supabaseAdmin } from "../config/supabase.js";
+
+// Schema exports
+export const listLedgerSchema = Joi.object({
+  rideId: Joi.string().optional(),
+  role: Joi.string().valid('all', 'owed', 'owing').default('all'),
+  paid: Joi.boolean().optional()
+});
+
+export const markShareSchema = Joi.object({
+  paid: Joi.boolean().required()
+});
+
+// Controller functions
+
+// Ledger entries the user is part of: "owing" are shares they pay,
+// "owed" are shares passengers pay them as the creator
+export const listLedger = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, role, paid } = req.query;
+    const query = role === 'owed' ? { payeeId: req.user.id }
+      : role === 'owing' ? { payerId: req.user.id }
+        : { $or: [{ payerId: req.user.id }, { payeeId: req.user.id }] };
+    if (rideId) query.rideId = rideId;
+    if (paid !== undefined) query.paid = paid;
+
+    const shares = await FareShare.find(query).sort({ rideDateTime: -1 }).lean();
+
+    const userIds = [...new Set(shares.flatMap(share => [share.payerId, share.payeeId]))];
+    if (userIds.length === 0) return res.json([]);
+
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name')
+      .in('id', userIds);
+
+    if (error || !users) {
+      console.error("Error fetching users:", error);
+      return res.json(shares);
+    }
+
+    const nameMap = {};
+    users.forEach(user => {
+      nameMap[user.id] = user.name;
+    });
+
+    res.json(shares.map(share => ({
+      ...share,
+      payerName: nameMap[share.payerId] || 'Unknown',
+      payeeName: nameMap[share.payeeId] || 'Unknown',
+      direction: share.payerId === req.user.id ? 'owing' : 'owed'
+    })));
+  } catch (error) {
+    console.error("Error listing ledger:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Running balance across all rides, per currency: positive means others owe the user
+export const getBalance = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const totals = await FareShare.aggregate([
+      { $match: { paid: false, $or: [{ payerId: req.user.id }, { payeeId: req.user.id }] } },
+      {
+        $group: {
+          _id: "$currency",
+          owedToMe: { $sum: { $cond: [{ $eq: ["$payeeId", req.user.id] }, "$amount", 0] } },
+          iOwe: { $sum: { $cond: [{ $eq: ["$payerId", req.user.id] }, "$amount", 0] } },
+          openEntries: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          currency: "$_id",
+          owedToMe: { $round: ["$owedToMe", 2] },
+          iOwe: { $round: ["$iOwe", 2] },
+          net: { $round: [{ $subtract: ["$owedToMe", "$iOwe"] }, 2] },
+          openEntries: 1
+        }
+      },
+      { $sort: { currency: 1 } }
+    ]);
+
+    res.json({ balances: totals });
+  } catch (error) {
+    console.error("Error computing balance:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Either side of a share can mark it paid or back to unpaid
+export const markShare = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { paid } = req.body;
+    const share = await FareShare.findOneAndUpdate(
+      { _id: req.params.shareId, $or: [{ payerId: req.user.id }, { payeeId: req.user.id }] },
+      paid
+        ? { $set: { paid: true, markedBy: req.user.id, paidAt: new Date() } }
+        : { $set: { paid: false, markedBy: req.user.id }, $unset: { paidAt: 1 } },
+      { new: true }
+    );
+    if (!share) return res.status(404).json({ message: "Ledger entry not found" });
+
+    res.json({ message: paid ? "Marked as paid" : "Marked as unpaid", share });
+  } catch (error) {
+    console.error("Error marking ledger entry:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
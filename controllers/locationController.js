@@ -16,8 +16,11 @@ export const getStartingLocations = async (req, res) => {
             .from('valid_routes')
             .select(`
                 from_location:locations!from_location_id (
+                    id,
                     name,
-                    type
+                    type,
+                    latitude,
+                    longitude
                 )
             `)
             .eq('college_id', req.user.collegeId)
@@ -38,8 +41,11 @@ export const getStartingLocations = async (req, res) => {
             const location = route.from_location; // Fixed: use from_location
             if (location && !seen.has(location.name)) {
                 uniqueLocations.push({
+                    id: location.id,
                     name: location.name,
-                    type: location.type
+                    type: location.type,
+                    latitude: location.latitude,
+                    longitude: location.longitude
                 });
                 seen.add(location.name);
             }
@@ -91,8 +97,11 @@ export const getDestinations = async (req, res) => {
             .from('valid_routes')
             .select(`
                 to_location:locations!to_location_id (
+                    id,
                     name,
-                    type
+                    type,
+                    latitude,
+                    longitude
                 )
             `)
             .eq('college_id', req.user.collegeId)
@@ -117,8 +126,11 @@ export const getDestinations = async (req, res) => {
             const destination = route.to_location; // Fixed: use to_location
             if (destination && !seen.has(destination.name)) {
                 uniqueDestinations.push({
+                    id: destination.id,
                     name: destination.name,
-                    type: destination.type
+                    type: destination.type,
+                    latitude: destination.latitude,
+                    longitude: destination.longitude
                 });
                 seen.add(destination.name);
             }
@@ -0,0 +1,106 @@
+import Ride from "../models/Ride.js";
+import WantedRide from "../models/WantedRide.js";
+import { matchPairs, openPostsNear, openRidesNear, mergeCandidates } from "../utils/matching.js";
+import { supabaseAdmin } from "../config/supabase.js";
+
+const MAX_SUGGESTIONS = 5;
+
+const rideSummary = (ride, names) => ({
+  _id: ride._id,
+  creatorId: ride.creatorId,
+  creatorName: names[ride.creatorId] || 'Unknown',
+  fromLocation: ride.fromLocation,
+  toLocation: ride.toLocation,
+  stops: ride.stops,
+  dateTime: ride.dateTime,
+  availableSeats: ride.availableSeats,
+  preferredGender: ride.preferredGender,
+  luggageSpace: ride.luggageSpace,
+  fare: ride.fare
+});
+
+// Controller functions
+
+// Suggestions for the caller: offers fitting each of their open ride-wanted
+// posts, passengers fitting each of their upcoming open rides, and other
+// half-empty rides those rides could merge with
+export const getSuggestions = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const collegeId = req.user.collegeId;
+    const now = new Date();
+
+    const [myPosts, myRides] = await Promise.all([
+      WantedRide.find({ posterId: req.user.id, collegeId, status: "OPEN", latest: { $gte: now } }).lean(),
+      Ride.find({ creatorId: req.user.id, creatorCollegeId: collegeId, status: "OPEN", dateTime: { $gte: now } })
+        .select("-history").sort({ dateTime: 1 }).limit(20).lean()
+    ]);
+
+    const [candidateRides, candidatePosts] = await Promise.all([
+      myPosts.length ? openRidesNear(collegeId, myPosts) : [],
+      myRides.length ? openPostsNear(collegeId, myRides) : []
+    ]);
+
+    const [offerPairs, passengerPairs] = await Promise.all([
+      matchPairs(collegeId, candidateRides, myPosts),
+      matchPairs(collegeId, myRides, candidatePosts)
+    ]);
+
+    // Other open rides leaving around the same times, for merge suggestions
+    const mergePool = myRides.length ? await openRidesNear(collegeId, myRides.map(ride => ({
+      earliest: ride.dateTime,
+      latest: ride.dateTime
+    }))) : [];
+
+    const userIds = new Set([
+      ...offerPairs.map(pair => pair.ride.creatorId),
+      ...passengerPairs.map(pair => pair.post.posterId),
+      ...mergePool.map(ride => ride.creatorId)
+    ]);
+    const names = { [req.user.id]: req.user.name };
+    if (userIds.size) {
+      const { data: users, error } = await supabaseAdmin
+        .from('users')
+        .select('id, name')
+        .in('id', [...userIds]);
+      if (error) console.error("Error fetching names for suggestions:", error);
+      (users || []).forEach(user => {
+        names[user.id] = user.name;
+      });
+    }
+
+    const forWanted = myPosts.map(post => ({
+      post,
+      rides: offerPairs
+        .filter(pair => pair.post._id.equals(post._id))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ ride, score, routeMatch, timeScore }) => ({ ride: rideSummary(ride, names), score, routeMatch, timeScore }))
+    }));
+
+    const forRides = myRides.map(ride => ({
+      ride: rideSummary(ride, names),
+      passengers: passengerPairs
+        .filter(pair => pair.ride._id.equals(ride._id))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ post, score, routeMatch, timeScore }) => ({
+          post: { ...post, posterName: names[post.posterId] || 'Unknown' },
+          score,
+          routeMatch,
+          timeScore
+        })),
+      merges: mergeCandidates(ride, mergePool)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ host, joining, seatsNeeded }) => ({
+          host: rideSummary(host, names),
+          joining: rideSummary(joining, names),
+          seatsNeeded
+        }))
+    }));
+
+    res.json({ forWanted, forRides });
+  } catch (error) {
+    console.error("Error getting match suggestions:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
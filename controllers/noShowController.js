@@ -0,0 +1,162 @@
+import Joi from "joi";
+import NoShowReport from "../models/NoShowReport.js";
+import Ride, { FINISHED_STATUSES } from "../models/Ride.js";
+import { reliabilityFor } from "../utils/reliability.js";
+
+// Reports are accepted for this long after departure
+const REPORT_WINDOW_MS = 72 * 3600 * 1000;
+// The reported user has this long to dispute
+const DISPUTE_WINDOW_MS = 48 * 3600 * 1000;
+
+// Schema exports
+export const reportNoShowSchema = Joi.object({
+  rideId: Joi.string().required(),
+  reportedId: Joi.string().required(),
+  note: Joi.string().trim().max(300).optional().allow('')
+});
+
+export const disputeNoShowSchema = Joi.object({
+  note: Joi.string().trim().min(5).max(300).required()
+});
+
+export const resolveNoShowSchema = Joi.object({
+  decision: Joi.string().valid("uphold", "dismiss").required(),
+  note: Joi.string().trim().max(300).optional().allow('')
+});
+
+// Controller functions
+
+export const reportNoShow = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, reportedId, note } = req.body;
+    const ride = await Ride.findById(rideId).lean();
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    // Only rides that actually took place can have no-shows
+    if (!FINISHED_STATUSES.includes(ride.status))
+      return res.status(400).json({ message: "No-shows can only be reported for completed rides" });
+
+    const now = Date.now();
+    const departure = new Date(ride.dateTime).getTime();
+    if (now < departure)
+      return res.status(400).json({ message: "No-shows can only be reported after departure" });
+    if (now > departure + REPORT_WINDOW_MS)
+      return res.status(400).json({ message: "The window for reporting this ride has passed" });
+
+    // Creators report confirmed passengers; passengers report the creator
+    const reporterIsCreator = ride.creatorId === req.user.id;
+    const allowed = reporterIsCreator
+      ? ride.confirmedUsers.includes(reportedId)
+      : ride.confirmedUsers.includes(req.user.id) && reportedId === ride.creatorId;
+    if (!allowed)
+      return res.status(403).json({ message: "You can only report the creator or a confirmed passenger of your ride" });
+
+    const report = await NoShowReport.create({
+      rideId,
+      collegeId: ride.creatorCollegeId,
+      reporterId: req.user.id,
+      reportedId,
+      note: note || undefined,
+      rideDateTime: ride.dateTime,
+      disputeDeadline: new Date(now + DISPUTE_WINDOW_MS)
+    });
+
+    res.status(201).json({ message: "No-show reported", report });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You have already reported this person for this ride" });
+    }
+    console.error("Error reporting no-show:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const disputeNoShow = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const report = await NoShowReport.findOneAndUpdate(
+      {
+        _id: req.params.reportId,
+        reportedId: req.user.id,
+        status: "PENDING",
+        disputeDeadline: { $gt: new Date() }
+      },
+      { $set: { status: "DISPUTED", disputeNote: req.body.note, disputedAt: new Date() } },
+      { new: true }
+    );
+    if (!report) {
+      return res.status(400).json({ message: "Report not found, already disputed or past its dispute window" });
+    }
+
+    res.json({ message: "Report disputed", report });
+  } catch (error) {
+    console.error("Error disputing no-show:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Reports the user filed and reports against them, with their own reliability
+export const listNoShows = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const [filed, against, reliability] = await Promise.all([
+      NoShowReport.find({ reporterId: req.user.id }).sort({ createdAt: -1 }).lean(),
+      NoShowReport.find({ reportedId: req.user.id }).sort({ createdAt: -1 }).lean(),
+      reliabilityFor([req.user.id])
+    ]);
+
+    res.json({ filed, against, reliability: reliability[req.user.id] });
+  } catch (error) {
+    console.error("Error listing no-show reports:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Disputed reports in the administrator's college, oldest dispute first
+export const listDisputedNoShows = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const reports = await NoShowReport.find({ collegeId: req.user.collegeId, status: "DISPUTED" })
+      .sort({ disputedAt: 1 })
+      .lean();
+    res.json(reports);
+  } catch (error) {
+    console.error("Error listing disputed no-shows:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// An administrator settles a dispute: upheld reports count against the
+// reported user, dismissed ones never do
+export const resolveNoShow = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { decision, note } = req.body;
+    const report = await NoShowReport.findOneAndUpdate(
+      { _id: req.params.reportId, collegeId: req.user.collegeId, status: "DISPUTED" },
+      {
+        $set: {
+          status: decision === "uphold" ? "UPHELD" : "DISMISSED",
+          resolvedBy: req.user.id,
+          resolutionNote: note || undefined,
+          resolvedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!report) {
+      return res.status(400).json({ message: "Report not found or not awaiting a decision" });
+    }
+
+    res.json({ message: decision === "uphold" ? "Report upheld" : "Report dismissed", report });
+  } catch (error) {
+    console.error("Error resolving no-show:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,46 @@
+import Joi from "joi";
+import Notification from "../models/Notification.js";
+
+// Schema exports
+export const listNotificationsSchema = Joi.object({
+  unread: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(30)
+});
+
+export const markReadSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).optional()
+});
+
+// Controller functions
+
+export const listNotifications = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { unread, limit } = req.query;
+    const query = { userId: req.user.id };
+    if (unread) query.readAt = null;
+
+    const notifications = await Notification.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json(notifications);
+  } catch (error) {
+    console.error("Error listing notifications:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Marks the given notifications read, or all of them when no ids are sent
+export const markNotificationsRead = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const query = { userId: req.user.id, readAt: null };
+    if (req.body.ids) query._id = { $in: req.body.ids };
+
+    const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+    res.json({ message: "Notifications marked as read", updated: result.modifiedCount });
+  } catch (error) {
+    console.error("Error marking notifications read:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
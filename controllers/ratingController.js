@@ -0,0 +1,96 @@
+import Joi from "joi";
+import Rating, { EMPTY_RATING } from "../models/Rating.js";
+import Ride, { FINISHED_STATUSES } from "../models/Ride.js";
+import { supabaseAdmin } from "../config/supabase.js";
+
+// Schema exports
+export const rateUserSchema = Joi.object({
+  rideId: Joi.string().required(),
+  rateeId: Joi.string().required(),
+  stars: Joi.number().integer().min(1).max(5).required(),
+  review: Joi.string().trim().max(300).optional().allow('')
+});
+
+export const listUserRatingsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Controller functions
+
+export const rateUser = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, rateeId, stars, review } = req.body;
+    const ride = await Ride.findById(rideId).lean();
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (!FINISHED_STATUSES.includes(ride.status))
+      return res.status(400).json({ message: "Rides can be rated once they are completed" });
+    if (rateeId === req.user.id)
+      return res.status(400).json({ message: "You cannot rate yourself" });
+
+    // Ratings only go between the creator and a confirmed passenger
+    const raterIsCreator = ride.creatorId === req.user.id;
+    const allowed = raterIsCreator
+      ? ride.confirmedUsers.includes(rateeId)
+      : ride.confirmedUsers.includes(req.user.id) && rateeId === ride.creatorId;
+    if (!allowed)
+      return res.status(403).json({ message: "Only the creator and confirmed passengers can rate each other" });
+
+    const rating = await Rating.create({
+      rideId,
+      collegeId: ride.creatorCollegeId,
+      raterId: req.user.id,
+      rateeId,
+      rateeRole: raterIsCreator ? "passenger" : "creator",
+      stars,
+      review: review || undefined
+    });
+
+    res.status(201).json({ message: "Rating submitted", rating });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You have already rated this person for this ride" });
+    }
+    console.error("Error rating user:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getUserRatings = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { userId } = req.params;
+    const { limit } = req.query;
+
+    const [summaries, reviews] = await Promise.all([
+      Rating.summaries([userId]),
+      Rating.find({ rateeId: userId, collegeId: req.user.collegeId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('raterId rateeRole stars review createdAt')
+        .lean()
+    ]);
+
+    const raterIds = [...new Set(reviews.map(review => review.raterId))];
+    const nameMap = {};
+    if (raterIds.length) {
+      const { data: raters, error } = await supabaseAdmin
+        .from('users')
+        .select('id, name')
+        .in('id', raterIds);
+      if (error) console.error("Error fetching raters:", error);
+      (raters || []).forEach(rater => { nameMap[rater.id] = rater.name; });
+    }
+
+    res.json({
+      rating: summaries[userId] || EMPTY_RATING,
+      reviews: reviews.map(review => ({ ...review, raterName: nameMap[review.raterId] || 'Unknown' }))
+    });
+  } catch (error) {
+    console.error("Error getting user ratings:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
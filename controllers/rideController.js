@@ -1,33 +1,139 @@
 import Joi from "joi";
-import Ride from "../models/Ride.js";
+import Ride, { BOOKABLE_STATUSES, FINISHED_STATUSES, ENDED_STATUSES } from "../models/Ride.js";
+import RideSeries from "../models/RideSeries.js";
+import RideLeave from "../models/RideLeave.js";
+import RideCompletion from "../models/RideCompletion.js";
+import RideStat from "../models/RideStat.js";
+import FareShare from "../models/FareShare.js";
+import Vehicle from "../models/Vehicle.js";
+import Rating, { EMPTY_RATING } from "../models/Rating.js";
+import { buildOccurrences, MAX_SERIES_DAYS } from "../utils/recurrence.js";
+import { resolveRoute, findLocationsByIds } from "../utils/locations.js";
+import { alertSavedSearches } from "../utils/savedSearchAlerts.js";
+import { matchNewRides } from "../utils/matching.js";
+import { reliabilityFor } from "../utils/reliability.js";
+import { notifyUser } from "../utils/notifications.js";
+import { genderOf } from "../utils/users.js";
+import {
+  paginationKeys, rideFilterKeys, decodeCursor, afterCursor, pageOf, rideFilterConditions,
+  encodeRankCursor, decodeRankCursor, afterRankCursor
+} from "../utils/rideQuery.js";
 import { supabaseAdmin } from "../config/supabase.js";
+import { sendEmail } from "../config/mailer.js";
+import xss from "xss";
+
+// Leaving within this window before departure counts as a late leave
+const LATE_LEAVE_WINDOW_MS = Number(process.env.LATE_LEAVE_WINDOW_HOURS || 2) * 3600 * 1000;
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Great-circle distance in km from a ride's GeoJSON point field to [lng, lat]
+const haversineKm = (field, [lng, lat]) => {
+  const rideLng = { $degreesToRadians: { $arrayElemAt: [`$${field}.coordinates`, 0] } };
+  const rideLat = { $degreesToRadians: { $arrayElemAt: [`$${field}.coordinates`, 1] } };
+  const toRad = (degrees) => degrees * Math.PI / 180;
+  const halfChord = {
+    $add: [
+      { $pow: [{ $sin: { $divide: [{ $subtract: [rideLat, toRad(lat)] }, 2] } }, 2] },
+      {
+        $multiply: [
+          { $cos: rideLat },
+          Math.cos(toRad(lat)),
+          { $pow: [{ $sin: { $divide: [{ $subtract: [rideLng, toRad(lng)] }, 2] } }, 2] }
+        ]
+      }
+    ]
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [halfChord, 1] } } }] };
+};
+
+// Weights of the ranked search score; a ride with this many free seats or
+// more gets the full seats share
+const SEARCH_WEIGHTS = { time: 0.5, route: 0.3, seats: 0.2 };
+const SEARCH_SEATS_FOR_FULL_SCORE = 4;
 
 // Utility to escape regex special characters
 const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
+const fareSchema = Joi.object({
+  total: Joi.number().precision(2).min(0).max(100000),
+  perSeat: Joi.number().precision(2).min(0).max(100000),
+  currency: Joi.string().uppercase().length(3).default("INR")
+}).xor("total", "perSeat");
+
 // Schema exports
 export const createRideSchema = Joi.object({
   fromLocation: Joi.string().min(2).max(120).required(),
   toLocation: Joi.string().min(2).max(120).required(),
+  stops: Joi.array().items(Joi.string().min(2).max(120)).max(8).unique((a, b) => a.toLowerCase() === b.toLowerCase()).default([]),
   availableSeats: Joi.number().integer().min(1).max(10).required(),
   preferredGender: Joi.string().valid("Any", "Male", "Female").default("Any"),
   luggageSpace: Joi.boolean().default(false),
   timeNegotiation: Joi.boolean().default(false),
   additionalNotes: Joi.string().max(500).optional().allow(''),
   dateTime: Joi.date().iso().required(),
-  allowChat: Joi.boolean().default(true)
+  allowChat: Joi.boolean().default(true),
+  fare: fareSchema.optional(),
+  vehicleId: Joi.string().hex().length(24).optional(),
+  recurrence: Joi.object({
+    frequency: Joi.string().valid("daily", "weekdays", "weekly", "custom").required(),
+    daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1)
+      .when("frequency", { is: "custom", then: Joi.required(), otherwise: Joi.forbidden() }),
+    until: Joi.date().iso().greater(Joi.ref("...dateTime")).required(),
+    utcOffset: Joi.number().integer().min(-840).max(840).default(0)
+  }).optional()
 });
 
+export const listRidesSchema = Joi.object({
+  ...paginationKeys,
+  ...rideFilterKeys
+}).and("timeFrom", "timeTo");
+
+// Passing `around` switches to ranked search: rides within `tolerance`
+// minutes of that moment, best match first, each with a `score` in 0..1.
+// fromId/toId search by `locations` id instead of matching names.
 export const searchRidesSchema = Joi.object({
   from: Joi.string().optional().allow('', null),
   to: Joi.string().optional().allow('', null),
+  fromId: Joi.string().max(64).optional(),
+  toId: Joi.string().max(64).optional(),
   date: Joi.date().iso().optional().allow('', null),
-  limit: Joi.number().integer().min(1).max(50).default(20)
-});
+  around: Joi.date().iso().optional(),
+  tolerance: Joi.number().integer().min(5).max(720).default(120),
+  ...paginationKeys,
+  ...rideFilterKeys
+}).and("timeFrom", "timeTo").oxor("date", "around").oxor("from", "fromId").oxor("to", "toId");
+
+export const getRecentRidesSchema = Joi.object({
+  ...paginationKeys,
+  limit: Joi.number().integer().min(1).max(50).default(6),
+  ...rideFilterKeys
+}).and("timeFrom", "timeTo");
+
+// Rides leaving within radiusKm of (lat, lng) and/or dropping off within
+// destRadiusKm of (destLat, destLng)
+export const nearbyRidesSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radiusKm: Joi.number().min(0.1).max(50).default(2),
+  destLat: Joi.number().min(-90).max(90),
+  destLng: Joi.number().min(-180).max(180),
+  destRadiusKm: Joi.number().min(0.1).max(50).default(2),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  ...rideFilterKeys
+}).and("lat", "lng").and("destLat", "destLng").or("lat", "destLat").and("timeFrom", "timeTo");
 
 export const getUserRidesSchema = Joi.object({
-  status: Joi.string().valid('all', 'open', 'full', 'closed').optional().default('all'),
-  type: Joi.string().valid('all', 'created', 'requested', 'confirmed').optional().default('all')
+  status: Joi.string().valid('all', 'open', 'full', 'in_progress', 'completed', 'cancelled', 'closed').optional().default('all'),
+  type: Joi.string().valid('all', 'created', 'requested', 'confirmed', 'waitlisted', 'expired').optional().default('all'),
+  groupBy: Joi.string().valid('none', 'series').optional().default('none'),
+  ...paginationKeys
+});
+
+export const exportUserRidesSchema = Joi.object({
+  format: Joi.string().valid('csv', 'json').default('csv'),
+  status: Joi.string().valid('all', 'open', 'full', 'in_progress', 'completed', 'cancelled', 'closed').optional().default('all'),
+  type: Joi.string().valid('all', 'created', 'requested', 'confirmed', 'waitlisted', 'expired').optional().default('all')
 });
 
 export const getRideDetailsSchema = Joi.object({
@@ -35,13 +141,23 @@ export const getRideDetailsSchema = Joi.object({
 });
 
 export const requestRideSchema = Joi.object({
-  rideId: Joi.string().required()
+  rideId: Joi.string().required(),
+  seats: Joi.number().integer().min(1).max(10).default(1),
+  note: Joi.string().trim().max(200).optional().allow(''),
+  luggage: Joi.boolean().default(false),
+  pickup: Joi.string().max(120).optional(),
+  dropoff: Joi.string().max(120).optional()
 });
 
 export const cancelRequestSchema = Joi.object({
   rideId: Joi.string().required()
 });
 
+export const leaveRideSchema = Joi.object({
+  rideId: Joi.string().required(),
+  reason: Joi.string().trim().max(300).optional().allow('')
+});
+
 export const decideRequestSchema = Joi.object({
   rideId: Joi.string().required(),
   userId: Joi.string().required(),
@@ -50,13 +166,168 @@ export const decideRequestSchema = Joi.object({
 
 export const updateTimeSchema = Joi.object({
   rideId: Joi.string().required(),
-  dateTime: Joi.date().iso().required()
+  dateTime: Joi.date().iso().required(),
+  scope: Joi.string().valid("occurrence", "series").default("occurrence")
+});
+
+// Same checks as createRideSchema, but every field is optional and no defaults
+// are filled in, so only the fields the creator sends are changed.
+// availableSeats is the total seats offered, as when the ride was created.
+export const editRideSchema = createRideSchema
+  .fork(["fromLocation", "toLocation", "availableSeats", "dateTime", "stops"], field => field.optional())
+  .keys({
+    rideId: Joi.string().required(),
+    vehicleId: Joi.string().hex().length(24).allow(null), // null detaches the vehicle
+    recurrence: Joi.forbidden()
+  })
+  .min(2)
+  .prefs({ noDefaults: true });
+
+export const addSeatsSchema = Joi.object({
+  rideId: Joi.string().required(),
+  seats: Joi.number().integer().min(1).max(10).required()
 });
 
 export const closeRideSchema = Joi.object({
+  rideId: Joi.string().required(),
+  scope: Joi.string().valid("occurrence", "series").default("occurrence"),
+  fare: fareSchema.optional(),
+  reason: Joi.string().trim().max(300).optional().allow('')
+});
+
+export const startRideSchema = Joi.object({
   rideId: Joi.string().required()
 });
 
+export const completeRideSchema = Joi.object({
+  rideId: Joi.string().required(),
+  fare: fareSchema.optional()
+});
+
+export const cancelRideSchema = Joi.object({
+  rideId: Joi.string().required(),
+  reason: Joi.string().trim().min(3).max(300).required(),
+  scope: Joi.string().valid("occurrence", "series").default("occurrence")
+});
+
+// Booking details for an entry in a participant list. The pickup note,
+// luggage flag and request time are only shown to the creator and to the
+// passenger who made the booking.
+const bookingDetails = (ride, userId, viewerId) => {
+  const booking = (ride.bookings || []).find(b => b.userId === userId);
+  const details = {
+    seats: booking?.seats || 1,
+    segment: booking?.pickup ? { pickup: booking.pickup, dropoff: booking.dropoff } : null
+  };
+  if (viewerId === ride.creatorId || viewerId === userId) {
+    details.note = booking?.note || null;
+    details.luggage = booking?.luggage || false;
+    details.requestedAt = booking?.requestedAt || null;
+  }
+  return details;
+};
+
+// Waitlisted user IDs, first in line first
+const waitlistOrder = (ride) =>
+  [...(ride.waitlist || [])].sort((a, b) => a.joinedAt - b.joinedAt).map(entry => entry.userId);
+
+// Let users know they moved off the waitlist; email failures never fail the request
+const notifyPromoted = async (ride, userIds) => {
+  if (!userIds.length) return;
+  try {
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email')
+      .in('id', userIds);
+    if (error || !users) throw error;
+
+    await Promise.all(users.map(user => sendEmail({
+      to: user.email,
+      subject: "You're confirmed on a GoTogether ride",
+      html: `
+        <div style="font-family:Arial,sans-serif;line-height:1.6">
+          <p>Hello ${xss(user.name || 'there')},</p>
+          <p>A seat opened up and you have been moved off the waitlist for the ride from
+          <strong>${xss(ride.fromLocation)}</strong> to <strong>${xss(ride.toLocation)}</strong>
+          on ${new Date(ride.dateTime).toUTCString()}.</p>
+          <p>If you can no longer make it, please leave the ride so the next person can take the seat.</p>
+        </div>
+      `
+    })));
+  } catch (mailError) {
+    console.error("Failed to notify promoted users:", mailError);
+  }
+};
+
+// Collapse occurrences of a recurring ride into one entry per series,
+// keeping one-off rides as they are and the overall dateTime ordering
+const groupRidesBySeries = (rides) => {
+  const grouped = [];
+  const seriesMap = new Map();
+
+  rides.forEach(ride => {
+    if (!ride.seriesId) {
+      grouped.push(ride);
+      return;
+    }
+    const key = ride.seriesId.toString();
+    if (!seriesMap.has(key)) {
+      const entry = { seriesId: ride.seriesId, isSeries: true, occurrences: [] };
+      seriesMap.set(key, entry);
+      grouped.push(entry);
+    }
+    seriesMap.get(key).occurrences.push(ride);
+  });
+
+  return grouped;
+};
+
+// The rides a user may see in their own history, filtered as in getUserRides
+const userRidesQuery = (user, { status = 'all', type = 'all' }) => {
+  const rideQuery = { creatorCollegeId: user.collegeId };
+
+  // Filter by status
+  if (status !== 'all') {
+    if (status === 'open') rideQuery.status = 'OPEN';
+    else if (status === 'full') rideQuery.status = 'FULL';
+    else if (status === 'in_progress') rideQuery.status = 'IN_PROGRESS';
+    else if (status === 'completed') rideQuery.status = { $in: FINISHED_STATUSES };
+    else if (status === 'cancelled') rideQuery.status = 'CANCELLED';
+    else if (status === 'closed') rideQuery.status = { $in: ENDED_STATUSES };
+  }
+
+  // Filter by user relationship to ride
+  if (type === 'created') {
+    rideQuery.creatorId = user.id;
+  } else if (type === 'requested') {
+    rideQuery.requests = user.id;
+  } else if (type === 'confirmed') {
+    rideQuery.confirmedUsers = user.id;
+  } else if (type === 'waitlisted') {
+    rideQuery['waitlist.userId'] = user.id;
+  } else if (type === 'expired') {
+    // Lapsed requests are listed on their own, apart from live ones under 'requested'
+    rideQuery['expiredRequests.userId'] = user.id;
+  } else if (type === 'all') {
+    rideQuery.$or = [
+      { creatorId: user.id },
+      { requests: user.id },
+      { confirmedUsers: user.id },
+      { 'waitlist.userId': user.id },
+      { 'expiredRequests.userId': user.id }
+    ];
+  }
+
+  return rideQuery;
+};
+
+const userRoleIn = (ride, userId) =>
+  ride.creatorId === userId ? 'creator' :
+    ride.requests.includes(userId) ? 'requested' :
+      ride.confirmedUsers.includes(userId) ? 'confirmed' :
+        Ride.waitlistPosition(ride, userId) ? 'waitlisted' :
+          (ride.expiredRequests || []).some(entry => entry.userId === userId) ? 'expired' : 'none';
+
 // Controller functions
 
 export const createRide = async (req, res) => {
@@ -64,8 +335,8 @@ export const createRide = async (req, res) => {
   
   try {
     const {
-      fromLocation, toLocation, availableSeats, preferredGender,
-      luggageSpace, timeNegotiation, additionalNotes, dateTime, allowChat
+      fromLocation, toLocation, stops, availableSeats, preferredGender,
+      luggageSpace, timeNegotiation, additionalNotes, dateTime, allowChat, fare, recurrence, vehicleId
     } = req.body;
 
     const parsedDate = new Date(dateTime);
@@ -73,25 +344,94 @@ export const createRide = async (req, res) => {
       return res.status(400).json({ message: "Invalid date format" });
     }
 
-    const ride = await Ride.create({
+    if (vehicleId) {
+      const vehicle = await Vehicle.findOwned(vehicleId, req.user.id);
+      if (!vehicle) return res.status(400).json({ message: "Vehicle not found", field: "vehicleId" });
+      const capacityError = Vehicle.capacityError(vehicle, availableSeats);
+      if (capacityError) return res.status(400).json({ message: capacityError, field: "availableSeats" });
+    }
+
+    const route = await resolveRoute(req.user.collegeId, fromLocation, toLocation, stops);
+    if (route.error) {
+      return res.status(400).json({ message: route.error, field: route.field });
+    }
+
+    const rideFields = {
       creatorId: req.user.id,
       creatorCollegeId: req.user.collegeId,
       fromLocation,
       toLocation,
+      stops,
+      fromLocationId: route.fromLocationId,
+      toLocationId: route.toLocationId,
+      stopIds: route.stopIds,
+      fromPoint: route.fromPoint,
+      toPoint: route.toPoint,
       availableSeats,
+      vehicleId,
       preferredGender,
       luggageSpace,
       timeNegotiation,
       additionalNotes: additionalNotes || '',
-      dateTime: parsedDate,
       allowChat,
-      status: "OPEN",
-      expiresAt: new Date(parsedDate.getTime() + 7 * 24 * 3600 * 1000)
+      fare,
+      status: "OPEN"
+    };
+
+    if (!recurrence) {
+      const ride = await Ride.create({
+        ...rideFields,
+        dateTime: parsedDate,
+        expiresAt: new Date(parsedDate.getTime() + 7 * 24 * 3600 * 1000)
+      });
+
+      alertSavedSearches([ride], req.app.get("io"))
+        .catch(err => console.error("Error sending saved search alerts:", err));
+      matchNewRides([ride], req.app.get("io"))
+        .catch(err => console.error("Error matching new ride:", err));
+
+      return res.status(201).json({
+        message: "Ride created successfully",
+        ride
+      });
+    }
+
+    // Recurring ride: every occurrence is a standalone Ride linked by seriesId
+    const occurrences = buildOccurrences(parsedDate, recurrence);
+    if (occurrences.length === 0) {
+      return res.status(400).json({ message: "Recurrence does not produce any rides before the end date" });
+    }
+
+    const series = await RideSeries.create({
+      creatorId: req.user.id,
+      creatorCollegeId: req.user.collegeId,
+      frequency: recurrence.frequency,
+      daysOfWeek: recurrence.daysOfWeek || [],
+      utcOffset: recurrence.utcOffset,
+      startDate: parsedDate,
+      until: new Date(Math.min(
+        new Date(recurrence.until).getTime(),
+        parsedDate.getTime() + MAX_SERIES_DAYS * 24 * 3600 * 1000
+      ))
     });
 
+    const rides = await Ride.insertMany(occurrences.map(occurrence => ({
+      ...rideFields,
+      seriesId: series._id,
+      dateTime: occurrence,
+      expiresAt: new Date(occurrence.getTime() + 7 * 24 * 3600 * 1000)
+    })));
+
+    alertSavedSearches(rides, req.app.get("io"))
+      .catch(err => console.error("Error sending saved search alerts:", err));
+    matchNewRides(rides, req.app.get("io"))
+      .catch(err => console.error("Error matching new rides:", err));
+
     res.status(201).json({
-      message: "Ride created successfully",
-      ride
+      message: `Recurring ride created with ${rides.length} occurrences`,
+      ride: rides[0],
+      series,
+      rides
     });
   } catch (error) {
     console.error("Error creating ride:", error);
@@ -105,16 +445,25 @@ export const listRides = async (req, res) => {
   try {
     console.log("User in listRides:", req.user);
 
-    const rides = await Ride.find({
+    const { cursor, limit } = req.query;
+    const after = cursor && decodeCursor(cursor);
+    if (cursor && !after) return res.status(400).json({ message: "Invalid cursor" });
+
+    const conditions = rideFilterConditions(req.query);
+    if (after) conditions.push(afterCursor(after));
+
+    const found = await Ride.find({
       creatorCollegeId: req.user.collegeId,
       status: { $in: ["OPEN", "FULL"] },
-      dateTime: { $gte: new Date(Date.now() - 12 * 3600 * 1000) }
-    }).sort({ dateTime: 1 }).lean();
+      dateTime: { $gte: new Date(Date.now() - 12 * 3600 * 1000) },
+      ...(conditions.length && { $and: conditions })
+    }).select("-bookings").sort({ dateTime: 1, _id: 1 }).limit(limit + 1).lean();
+    const { rides, nextCursor } = pageOf(found, limit);
 
     const creatorIds = rides.map(ride => ride.creatorId);
     
     if (creatorIds.length === 0) {
-      return res.json([]);
+      return res.json({ rides: [], nextCursor });
     }
 
     const { data: creators, error } = await supabaseAdmin
@@ -124,20 +473,22 @@ export const listRides = async (req, res) => {
 
     if (error || !creators) {
       console.error("Error fetching creators:", error);
-      return res.json(rides); // Fallback: return rides without creator names
+      return res.json({ rides, nextCursor }); // Fallback: return rides without creator names
     }
 
     const creatorMap = {};
     creators.forEach(creator => {
       creatorMap[creator.id] = creator.name;
     });
+    const ratings = await Rating.summaries([...new Set(creatorIds)]);
 
     const ridesWithCreators = rides.map(ride => ({
       ...ride,
-      creatorName: creatorMap[ride.creatorId] || 'Unknown'
+      creatorName: creatorMap[ride.creatorId] || 'Unknown',
+      creatorRating: ratings[ride.creatorId] || EMPTY_RATING
     }));
 
-    res.json(ridesWithCreators);
+    res.json({ rides: ridesWithCreators, nextCursor });
   } catch (error) {
     console.error("Error listing rides:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -150,7 +501,10 @@ export const searchRides = async (req, res) => {
   try {
     console.log("User in searchRides:", req.user);
     
-    const { from, to, date, limit = 20 } = req.query;
+    const { from, to, fromId, toId, date, around, tolerance, utcOffset, cursor, limit } = req.query;
+    const ranked = Boolean(around);
+    const after = cursor && (ranked ? decodeRankCursor(cursor) : decodeCursor(cursor));
+    if (cursor && !after) return res.status(400).json({ message: "Invalid cursor" });
     const userGender = req.user.gender ? req.user.gender.toLowerCase() : 'any';
 
     // Helper function to safely get string values
@@ -173,28 +527,57 @@ export const searchRides = async (req, res) => {
     const dateStr = safeString(date);
 
     // Check if at least one search parameter is provided
-    if (!fromStr && !toStr && !dateStr) {
+    if (!fromStr && !toStr && !fromId && !toId && !dateStr && !ranked) {
       return res.status(400).json({ message: "Please specify at least one search parameter" });
     }
 
+    // Each searched point is either free text, matched as a partial name, or
+    // a location id. Rides saved before ids were stored match an id by the
+    // location's current name.
+    const ids = [fromId, toId].filter(Boolean);
+    const locationsById = new Map((ids.length ? await findLocationsByIds(ids) : [])
+      .map(location => [String(location.id), location]));
+    if (ids.some(id => !locationsById.has(id))) {
+      return res.status(400).json({ message: "Location not found" });
+    }
+    const pointSpec = (id, text) => id
+      ? { id, name: locationsById.get(id).name }
+      : text ? { text } : null;
+    const fromPoint = pointSpec(fromId, fromStr);
+    const toPoint = pointSpec(toId, toStr);
+
     let searchQuery = {
       creatorCollegeId: req.user.collegeId,
       status: { $in: ["OPEN", "FULL"] },
       dateTime: { $gte: new Date() }
     };
 
-    // Add location filters
-    if (fromStr) {
-      searchQuery.fromLocation = { $regex: escapeRegex(fromStr), $options: 'i' };
-    }
-    if (toStr) {
-      searchQuery.toLocation = { $regex: escapeRegex(toStr), $options: 'i' };
-    }
+    // Location filters consider the whole route, so a ride also matches when
+    // the searched points are intermediate stops; ordering is checked below
+    const locationFilter = (point, field) => {
+      if (point.text) {
+        const regex = { $regex: escapeRegex(point.text), $options: 'i' };
+        return { $or: [{ [field]: regex }, { stops: regex }] };
+      }
+      const exactName = { $regex: `^${escapeRegex(point.name)}$`, $options: 'i' };
+      return {
+        $or: [
+          { [`${field}Id`]: point.id },
+          { stopIds: point.id },
+          { fromLocationId: { $exists: false }, $or: [{ [field]: exactName }, { stops: exactName }] }
+        ]
+      };
+    };
+    const locationFilters = [];
+    if (fromPoint) locationFilters.push(locationFilter(fromPoint, "fromLocation"));
+    if (toPoint) locationFilters.push(locationFilter(toPoint, "toLocation"));
     
-    // Add date filter with proper validation
+    // Add date filter with proper validation. The day is the searcher's
+    // local day, shifted by their utcOffset in minutes.
     if (dateStr && isValidDate(dateStr)) {
-      const startDate = new Date(dateStr + 'T00:00:00.000Z');
-      const endDate = new Date(dateStr + 'T23:59:59.999Z');
+      const day = new Date(dateStr).toISOString().slice(0, 10);
+      const startDate = new Date(new Date(day + 'T00:00:00.000Z').getTime() - utcOffset * 60 * 1000);
+      const endDate = new Date(startDate.getTime() + 24 * 3600 * 1000 - 1);
       
       // Only apply date filter if the dates are valid
       if (!isNaN(startDate.getTime()) && !isNaN(endDate.getTime())) {
@@ -202,20 +585,118 @@ export const searchRides = async (req, res) => {
       }
     }
 
+    const toleranceMs = tolerance * 60 * 1000;
+    if (ranked) {
+      const target = new Date(around);
+      searchQuery.dateTime = {
+        $gte: new Date(Math.max(Date.now(), target.getTime() - toleranceMs)),
+        $lte: new Date(target.getTime() + toleranceMs)
+      };
+    }
+
     // Add gender matching filter
-    searchQuery.$or = [
-      { preferredGender: 'Any' },
-      { preferredGender: { $regex: new RegExp(`^${userGender}$`, 'i') } }
+    searchQuery.$and = [
+      ...locationFilters,
+      {
+        $or: [
+          { preferredGender: 'Any' },
+          { preferredGender: { $regex: new RegExp(`^${userGender}$`, 'i') } }
+        ]
+      },
+      ...rideFilterConditions(req.query),
+      ...(after && !ranked ? [afterCursor(after)] : [])
     ];
 
-    const rides = await Ride.find(searchQuery)
-      .sort({ dateTime: 1 })
-      .limit(parseInt(limit) || 20)
-      .lean();
+    // Position of the first route point matching `point`, searching [start, end)
+    const hasIds = { $gt: ["$fromLocationId", null] };
+    const routeIndex = (point, start, end) => point.text
+      ? {
+          $indexOfArray: [
+            { $map: { input: "$route", in: { $regexMatch: { input: "$$this", regex: escapeRegex(point.text), options: "i" } } } },
+            true,
+            start,
+            end
+          ]
+        }
+      : {
+          $indexOfArray: [
+            { $cond: [hasIds, "$routeIds", { $map: { input: "$route", in: { $toLower: "$$this" } } }] },
+            { $cond: [hasIds, { $literal: point.id }, { $literal: point.name.toLowerCase() }] },
+            start,
+            end
+          ]
+        };
+
+    // 1 when the search names the route point outright (or by id), 0.5 when
+    // the text only matches part of it
+    const pointMatch = (point, index) => point.text
+      ? { $cond: [{ $eq: [{ $toLower: { $arrayElemAt: ["$route", index] } }, { $literal: point.text.toLowerCase() }] }, 1, 0.5] }
+      : 1;
+    const routeMatches = [
+      ...(fromPoint ? [pointMatch(fromPoint, "$pickupIndex")] : []),
+      ...(toPoint ? [pointMatch(toPoint, "$dropoffIndex")] : [])
+    ];
+
+    const ranking = ranked ? [
+      {
+        $addFields: {
+          score: {
+            $round: [{
+              $add: [
+                {
+                  $multiply: [SEARCH_WEIGHTS.time, {
+                    $subtract: [1, { $divide: [{ $abs: { $subtract: ["$dateTime", new Date(around)] } }, toleranceMs] }]
+                  }]
+                },
+                { $multiply: [SEARCH_WEIGHTS.route, routeMatches.length ? { $avg: routeMatches } : 1] },
+                {
+                  $multiply: [SEARCH_WEIGHTS.seats, {
+                    $divide: [{ $min: [{ $max: ["$availableSeats", 0] }, SEARCH_SEATS_FOR_FULL_SCORE] }, SEARCH_SEATS_FOR_FULL_SCORE]
+                  }]
+                }
+              ]
+            }, 4]
+          }
+        }
+      },
+      ...(after ? [{ $match: afterRankCursor(after) }] : []),
+      { $sort: { score: -1, _id: 1 } }
+    ] : [{ $sort: { dateTime: 1, _id: 1 } }];
+
+    const found = await Ride.aggregate([
+      { $match: searchQuery },
+      {
+        $addFields: {
+          route: { $concatArrays: [["$fromLocation"], { $ifNull: ["$stops", []] }, ["$toLocation"]] },
+          routeIds: { $concatArrays: [["$fromLocationId"], { $ifNull: ["$stopIds", []] }, ["$toLocationId"]] }
+        }
+      },
+      { $addFields: { pickupIndex: fromPoint ? routeIndex(fromPoint, 0, { $subtract: [{ $size: "$route" }, 1] }) : 0 } },
+      {
+        $addFields: {
+          dropoffIndex: toPoint
+            ? { $cond: [{ $gte: ["$pickupIndex", 0] }, routeIndex(toPoint, { $add: ["$pickupIndex", 1] }, { $size: "$route" }), -1] }
+            : { $subtract: [{ $size: "$route" }, 1] }
+        }
+      },
+      { $match: { pickupIndex: { $gte: 0 }, $expr: { $gt: ["$dropoffIndex", "$pickupIndex"] } } },
+      ...ranking,
+      { $limit: limit + 1 },
+      {
+        $addFields: {
+          matchedSegment: {
+            pickup: { $arrayElemAt: ["$route", "$pickupIndex"] },
+            dropoff: { $arrayElemAt: ["$route", "$dropoffIndex"] }
+          }
+        }
+      },
+      { $project: { route: 0, routeIds: 0, pickupIndex: 0, dropoffIndex: 0, bookings: 0 } }
+    ]);
+    const { rides, nextCursor } = pageOf(found, limit, ranked ? encodeRankCursor : undefined);
 
     const creatorIds = rides.map(ride => ride.creatorId);
     if (creatorIds.length === 0) {
-      return res.json([]);
+      return res.json({ rides: [], nextCursor });
     }
 
     const { data: creators, error } = await supabaseAdmin
@@ -225,20 +706,22 @@ export const searchRides = async (req, res) => {
 
     if (error || !creators) {
       console.error("Error fetching creators:", error);
-      return res.json(rides);
+      return res.json({ rides, nextCursor });
     }
 
     const creatorMap = {};
     creators.forEach(creator => {
       creatorMap[creator.id] = creator.name;
     });
+    const ratings = await Rating.summaries([...new Set(creatorIds)]);
 
     const ridesWithCreators = rides.map(ride => ({
       ...ride,
-      creatorName: creatorMap[ride.creatorId] || 'Unknown'
+      creatorName: creatorMap[ride.creatorId] || 'Unknown',
+      creatorRating: ratings[ride.creatorId] || EMPTY_RATING
     }));
 
-    res.json(ridesWithCreators);
+    res.json({ rides: ridesWithCreators, nextCursor });
   } catch (error) {
     console.error("Error searching rides:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -246,6 +729,94 @@ export const searchRides = async (req, res) => {
 };
 
 
+// Distance-based discovery. With a starting point, rides come nearest
+// pickup first; with only a destination, nearest drop-off first. Rides whose
+// locations have no coordinates are not found here.
+export const searchNearbyRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { lat, lng, radiusKm, destLat, destLng, destRadiusKm, limit } = req.query;
+    const gender = await genderOf(req.user.id);
+    const origin = lat !== undefined ? [lng, lat] : null;
+    const destination = destLat !== undefined ? [destLng, destLat] : null;
+
+    const [key, near, radius, distanceField] = origin
+      ? ["fromPoint", origin, radiusKm, "pickupDistance"]
+      : ["toPoint", destination, destRadiusKm, "dropoffDistance"];
+
+    const rides = await Ride.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: near },
+          key,
+          distanceField,
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: {
+            creatorCollegeId: req.user.collegeId,
+            status: { $in: ["OPEN", "FULL"] },
+            dateTime: { $gte: new Date() }
+          }
+        }
+      },
+      {
+        $match: {
+          $and: [
+            { preferredGender: { $in: ["Any", ...(gender ? [new RegExp(`^${escapeRegex(gender)}$`, "i")] : [])] } },
+            ...rideFilterConditions(req.query),
+            ...(origin && destination
+              ? [{ toPoint: { $geoWithin: { $centerSphere: [destination, destRadiusKm / EARTH_RADIUS_KM] } } }]
+              : [])
+          ]
+        }
+      },
+      { $limit: limit },
+      {
+        $addFields: {
+          pickupDistanceKm: origin ? { $round: [{ $divide: ["$pickupDistance", 1000] }, 2] } : null,
+          dropoffDistanceKm: destination
+            ? { $round: [origin ? haversineKm("toPoint", destination) : { $divide: ["$dropoffDistance", 1000] }, 2] }
+            : null
+        }
+      },
+      { $project: { pickupDistance: 0, dropoffDistance: 0, bookings: 0 } }
+    ]);
+
+    const creatorIds = rides.map(ride => ride.creatorId);
+    if (creatorIds.length === 0) {
+      return res.json({ rides: [] });
+    }
+
+    const { data: creators, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name')
+      .in('id', creatorIds);
+
+    if (error || !creators) {
+      console.error("Error fetching creators:", error);
+      return res.json({ rides });
+    }
+
+    const creatorMap = {};
+    creators.forEach(creator => {
+      creatorMap[creator.id] = creator.name;
+    });
+    const ratings = await Rating.summaries([...new Set(creatorIds)]);
+
+    res.json({
+      rides: rides.map(ride => ({
+        ...ride,
+        creatorName: creatorMap[ride.creatorId] || 'Unknown',
+        creatorRating: ratings[ride.creatorId] || EMPTY_RATING
+      }))
+    });
+  } catch (error) {
+    console.error("Error searching nearby rides:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const getPopularDestinations = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
@@ -274,16 +845,24 @@ export const getRecentRides = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
   try {
-    const limit = parseInt(req.query.limit) || 6;
-    const rides = await Ride.find({
+    const { cursor, limit } = req.query;
+    const after = cursor && decodeCursor(cursor);
+    if (cursor && !after) return res.status(400).json({ message: "Invalid cursor" });
+
+    const conditions = rideFilterConditions(req.query);
+    if (after) conditions.push(afterCursor(after));
+
+    const found = await Ride.find({
       creatorCollegeId: req.user.collegeId,
       status: { $in: ["OPEN", "FULL"] },
-      dateTime: { $gte: new Date() }
-    }).sort({ dateTime: 1 }).limit(limit).lean();
+      dateTime: { $gte: new Date() },
+      ...(conditions.length && { $and: conditions })
+    }).select("-bookings").sort({ dateTime: 1, _id: 1 }).limit(limit + 1).lean();
+    const { rides, nextCursor } = pageOf(found, limit);
 
     const creatorIds = rides.map(ride => ride.creatorId);
     if (creatorIds.length === 0) {
-      return res.json([]);
+      return res.json({ rides: [], nextCursor });
     }
 
     const { data: creators, error } = await supabaseAdmin
@@ -293,7 +872,7 @@ export const getRecentRides = async (req, res) => {
 
     if (error || !creators) {
       console.error("Error fetching creators:", error);
-      return res.json(rides);
+      return res.json({ rides, nextCursor });
     }
 
     const creatorMap = {};
@@ -306,7 +885,7 @@ export const getRecentRides = async (req, res) => {
       creatorName: creatorMap[ride.creatorId] || 'Unknown'
     }));
 
-    res.json(ridesWithCreators);
+    res.json({ rides: ridesWithCreators, nextCursor });
   } catch (error) {
     console.error("Error getting recent rides:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -317,18 +896,20 @@ export const requestRide = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
   try {
-    const { rideId } = req.body;
+    const { rideId, seats, note, luggage, pickup, dropoff } = req.body;
     const ride = await Ride.findById(rideId);
     
     if (!ride) return res.status(404).json({ message: "Ride not found" });
     if (ride.creatorCollegeId !== req.user.collegeId)
       return res.status(403).json({ message: "Cross-college access denied" });
-    if (ride.status === "CLOSED")
-      return res.status(400).json({ message: "Ride is closed" });
+    if (!BOOKABLE_STATUSES.includes(ride.status))
+      return res.status(400).json({ message: "Ride is no longer taking requests" });
     if (ride.creatorId === req.user.id)
       return res.status(400).json({ message: "Cannot request your own ride" });
     if (ride.requests.includes(req.user.id) || ride.confirmedUsers.includes(req.user.id))
       return res.status(400).json({ message: "Already requested/confirmed" });
+    if (Ride.waitlistPosition(ride, req.user.id))
+      return res.status(400).json({ message: "Already on the waitlist" });
 
     const userGender = req.user.gender ? req.user.gender.toLowerCase() : 'any';
     const rideGender = ride.preferredGender.toLowerCase();
@@ -337,10 +918,52 @@ export const requestRide = async (req, res) => {
       return res.status(403).json({ message: `This ride is for ${ride.preferredGender} only.` });
     }
 
-    ride.requests.push(req.user.id);
+    // Passengers may ride only part of a multi-stop route
+    const route = Ride.routeOf(ride);
+    const pickupIndex = pickup ? route.indexOf(pickup) : 0;
+    const dropoffIndex = dropoff ? route.indexOf(dropoff) : route.length - 1;
+    if (pickupIndex < 0 || dropoffIndex < 0 || pickupIndex >= dropoffIndex) {
+      return res.status(400).json({ message: "Pickup must come before drop-off along the ride's route" });
+    }
+
+    // A group larger than the whole ride could never be confirmed
+    if (seats > Ride.seatsTaken(ride) + ride.availableSeats)
+      return res.status(400).json({ message: "Requested more seats than the ride has" });
+
+    // When the group doesn't fit, the user is queued instead and confirmed in
+    // join order as seats free up
+    const now = new Date();
+    const expiresAt = Ride.requestExpiry(ride, now);
+    if (expiresAt <= now)
+      return res.status(400).json({ message: "Requests for this ride have closed as departure is too close" });
+
+    const isFull = ride.availableSeats < seats;
+    if (isFull) ride.waitlist.push({ userId: req.user.id, joinedAt: now });
+    else ride.requests.push(req.user.id);
+    ride.bookings.push({
+      userId: req.user.id,
+      seats,
+      note: note || undefined,
+      luggage,
+      pickup: pickup || dropoff ? route[pickupIndex] : undefined,
+      dropoff: pickup || dropoff ? route[dropoffIndex] : undefined,
+      requestedAt: now,
+      expiresAt: isFull ? undefined : expiresAt
+    });
+    // Asking again after an earlier request lapsed
+    ride.expiredRequests = ride.expiredRequests.filter(entry => entry.userId !== req.user.id);
     await ride.save();
 
-    res.json({ message: "Request sent successfully", ride });
+    if (isFull) {
+      const waitlistPosition = Ride.waitlistPosition(ride, req.user.id);
+      return res.json({
+        message: `Not enough free seats - you are #${waitlistPosition} on the waitlist`,
+        waitlistPosition,
+        ride
+      });
+    }
+
+    res.json({ message: "Request sent successfully", expiresAt, ride });
   } catch (error) {
     console.error("Error requesting ride:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -355,19 +978,110 @@ export const cancelRequest = async (req, res) => {
     const ride = await Ride.findById(rideId);
 
     if (!ride) return res.status(404).json({ message: "Ride not found" });
-    if (!ride.requests.includes(req.user.id))
+    if (!ride.requests.includes(req.user.id) && !Ride.waitlistPosition(ride, req.user.id))
       return res.status(400).json({ message: "No pending request to cancel" });
 
-    ride.requests = ride.requests.filter(u => u !== req.user.id);
-    await ride.save();
+    const updated = await Ride.withdrawRequest(rideId, req.user.id);
+    if (!updated)
+      return res.status(409).json({ message: "Request was already withdrawn or decided" });
 
-    res.json({ message: "Request cancelled successfully", ride });
+    res.json({ message: "Request cancelled successfully", ride: updated });
   } catch (error) {
     console.error("Error cancelling request:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
+export const leaveRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, reason } = req.body;
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (!ride.confirmedUsers.includes(req.user.id))
+      return res.status(400).json({ message: "You are not confirmed on this ride" });
+    if (!BOOKABLE_STATUSES.includes(ride.status))
+      return res.status(400).json({ message: "Ride has already departed or ended" });
+
+    const updated = await Ride.releaseSeat(rideId, req.user.id);
+    if (!updated)
+      return res.status(409).json({ message: "You have already left this ride" });
+
+    const now = new Date();
+    const msBeforeDeparture = ride.dateTime.getTime() - now.getTime();
+    const isLate = msBeforeDeparture < LATE_LEAVE_WINDOW_MS;
+
+    await RideLeave.create({
+      rideId: ride._id,
+      userId: req.user.id,
+      creatorId: ride.creatorId,
+      collegeId: ride.creatorCollegeId,
+      reason: reason || undefined,
+      rideDateTime: ride.dateTime,
+      leftAt: now,
+      minutesBeforeDeparture: Math.round(msBeforeDeparture / 60000),
+      isLate
+    });
+
+    // The freed seat goes to the waitlist first
+    const promoted = await Ride.promoteWaitlist(rideId);
+    await notifyPromoted(updated, promoted);
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`ride:${rideId}`).emit("ride:passenger-left", {
+        rideId,
+        userId: req.user.id,
+        userName: req.user.name,
+        reason: reason || null,
+        isLate,
+        availableSeats: updated.availableSeats - promoted.length,
+        promoted
+      });
+    }
+
+    try {
+      const { data: creator } = await supabaseAdmin
+        .from('users')
+        .select('name, email')
+        .eq('id', ride.creatorId)
+        .single();
+
+      if (creator?.email) {
+        await sendEmail({
+          to: creator.email,
+          subject: "A passenger left your GoTogether ride",
+          html: `
+            <div style="font-family:Arial,sans-serif;line-height:1.6">
+              <p>Hello ${xss(creator.name || 'there')},</p>
+              <p><strong>${xss(req.user.name)}</strong> has left your ride from
+              <strong>${xss(ride.fromLocation)}</strong> to <strong>${xss(ride.toLocation)}</strong>
+              on ${ride.dateTime.toUTCString()}.</p>
+              ${reason ? `<p>Reason given: ${xss(reason)}</p>` : ''}
+              <p>${promoted.length
+                ? 'The seat has been given to the next person on the waitlist.'
+                : 'The seat is open again for new requests.'}</p>
+            </div>
+          `
+        });
+      }
+    } catch (mailError) {
+      console.error("Failed to notify creator about leave:", mailError);
+    }
+
+    res.json({
+      message: "You have left the ride",
+      isLate,
+      ride: promoted.length ? await Ride.findById(rideId) : updated
+    });
+  } catch (error) {
+    console.error("Error leaving ride:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const decideRequest = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
@@ -385,8 +1099,11 @@ export const decideRequest = async (req, res) => {
     if (!ride) return res.status(404).json({ message: "Ride not found" });
     if (ride.creatorId !== req.user.id)
       return res.status(403).json({ message: "Only creator can decide" });
-    if (!ride.requests.includes(userId))
+    if (!ride.requests.includes(userId) && !Ride.waitlistPosition(ride, userId))
       return res.status(400).json({ message: "User did not request this ride" });
+    // Waitlisted users are confirmed in order by promoteWaitlist, not picked by hand
+    if (decision === "accept" && !ride.requests.includes(userId))
+      return res.status(400).json({ message: "Waitlisted users are confirmed automatically as seats free up" });
 
     // Get user details with fallback
     let userData = { id: userId, name: 'Unknown User', email: null };
@@ -401,20 +1118,32 @@ export const decideRequest = async (req, res) => {
       console.error("Supabase connection error:", err);
     }
 
-    if (decision === "reject") {
-      ride.requests = ride.requests.filter(u => u !== userId);
-    } else if (decision === "accept") {
-      if (ride.availableSeats <= 0) {
-        return res.status(400).json({ message: "No seats available" });
-      }
-      ride.confirmedUsers.push(userId);
-      ride.requests = ride.requests.filter(u => u !== userId);
-      ride.availableSeats -= 1;
-      if (ride.availableSeats === 0) ride.status = "FULL";
-      ride.expiresAt = new Date(new Date(ride.dateTime).getTime() + 30 * 24 * 3600 * 1000);
+    // A group request is accepted or rejected as a whole
+    const seats = Ride.bookedSeats(ride, userId);
+    if (decision === "accept" && ride.availableSeats < seats) {
+      return res.status(409).json({
+        message: ride.availableSeats <= 0
+          ? "No seats available"
+          : `Only ${ride.availableSeats} seat(s) left for a request of ${seats}`
+      });
     }
 
-    await ride.save();
+    // Seat changes go through single atomic updates so concurrent decisions
+    // cannot overbook the ride or drop a confirmation.
+    const updated = decision === "accept"
+      ? await Ride.confirmRequest(rideId, userId, seats)
+      : await Ride.withdrawRequest(rideId, userId);
+
+    if (!updated) {
+      const latest = await Ride.findById(rideId).lean();
+      if (latest && decision === "accept" && latest.availableSeats < seats) {
+        return res.status(409).json({ message: "The last seats were just taken" });
+      }
+      if (latest && !BOOKABLE_STATUSES.includes(latest.status)) {
+        return res.status(409).json({ message: "Ride is no longer taking requests" });
+      }
+      return res.status(409).json({ message: "Request was already decided or withdrawn" });
+    }
 
     const userName = userData?.name || 'User';
     const message = decision === "accept"
@@ -423,7 +1152,7 @@ export const decideRequest = async (req, res) => {
 
     res.json({
       message,
-      ride: ride.toObject()
+      ride: updated.toObject()
     });
   } catch (error) {
     console.error("Error in decideRequest:", error);
@@ -438,7 +1167,7 @@ export const updateRideTime = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
   try {
-    const { rideId, dateTime } = req.body;
+    const { rideId, dateTime, scope } = req.body;
     
     const parsedDate = new Date(dateTime);
     if (isNaN(parsedDate.getTime())) {
@@ -450,7 +1179,44 @@ export const updateRideTime = async (req, res) => {
     if (ride.creatorId !== req.user.id)
       return res.status(403).json({ message: "Only creator can update time" });
 
+    if (scope === "series") {
+      if (!ride.seriesId) return res.status(400).json({ message: "Ride is not part of a series" });
+
+      // Shift this and every later open occurrence by the same amount
+      const shift = parsedDate.getTime() - ride.dateTime.getTime();
+      const result = await Ride.updateMany(
+        { seriesId: ride.seriesId, dateTime: { $gte: ride.dateTime }, status: { $in: BOOKABLE_STATUSES } },
+        [{
+          $set: {
+            dateTime: { $add: ["$dateTime", shift] },
+            expiresAt: { $add: ["$expiresAt", shift] },
+            history: {
+              $concatArrays: [
+                { $ifNull: ["$history", []] },
+                [{
+                  changedBy: { $literal: req.user.id },
+                  changedAt: "$$NOW",
+                  changes: [{ field: "dateTime", from: "$dateTime", to: { $add: ["$dateTime", shift] } }]
+                }]
+              ]
+            }
+          }
+        }, {
+          $set: { bookings: Ride.requestExpiriesExpr() }
+        }]
+      );
+      return res.json({ message: `Updated time for ${result.modifiedCount} rides in the series` });
+    }
+
+    ride.history.push({
+      changedBy: req.user.id,
+      changes: [{ field: "dateTime", from: ride.dateTime, to: parsedDate }]
+    });
     ride.dateTime = parsedDate;
+    // Pending requests must still lapse before the new cutoff
+    ride.bookings.forEach(booking => {
+      if (ride.requests.includes(booking.userId)) booking.expiresAt = Ride.requestExpiry(ride, booking.requestedAt);
+    });
     const baseRetention = ride.confirmedUsers.length ? 30 : 7;
     ride.expiresAt = new Date(parsedDate.getTime() + baseRetention * 24 * 3600 * 1000);
 
@@ -462,48 +1228,190 @@ export const updateRideTime = async (req, res) => {
   }
 };
 
-export const getUserRides = async (req, res) => {
+export const editRide = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
   try {
-    const { status, type } = req.query;
-    let rideQuery = { creatorCollegeId: req.user.collegeId };
+    const { rideId, ...fields } = req.body;
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (ride.creatorId !== req.user.id)
+      return res.status(403).json({ message: "Only creator can edit the ride" });
+    if (!BOOKABLE_STATUSES.includes(ride.status))
+      return res.status(400).json({ message: "Rides that have departed or ended cannot be edited" });
+
+    const confirmedCount = ride.confirmedUsers.length;
+    const seatsTaken = Ride.seatsTaken(ride);
+    const routeChanged = ["fromLocation", "toLocation"].some(field => fields[field] !== undefined && fields[field] !== ride[field]);
+
+    // Refuse edits that would break commitments already made to passengers
+    if (routeChanged && confirmedCount > 0) {
+      return res.status(409).json({ message: "Cannot change the start or destination once passengers are confirmed" });
+    }
+    if (fields.availableSeats !== undefined && fields.availableSeats < seatsTaken) {
+      return res.status(409).json({
+        message: `Cannot offer fewer seats than the ${seatsTaken} already confirmed`,
+        field: "availableSeats"
+      });
+    }
 
-    // Filter by status
-    if (status !== 'all') {
-      if (status === 'open') rideQuery.status = 'OPEN';
-      else if (status === 'full') rideQuery.status = 'FULL';
-      else if (status === 'closed') rideQuery.status = 'CLOSED';
+    // The seats offered must fit the vehicle, whether either one changes
+    const vehicleId = fields.vehicleId !== undefined ? fields.vehicleId : ride.vehicleId;
+    if (vehicleId && (fields.vehicleId || fields.availableSeats !== undefined)) {
+      const vehicle = await Vehicle.findOwned(vehicleId, req.user.id);
+      if (!vehicle) return res.status(400).json({ message: "Vehicle not found", field: "vehicleId" });
+      const capacityError = Vehicle.capacityError(vehicle, fields.availableSeats ?? ride.availableSeats + seatsTaken);
+      if (capacityError) return res.status(409).json({ message: capacityError, field: "availableSeats" });
+      // The pipeline update below stores values as given, so keep the ObjectId
+      if (fields.vehicleId) fields.vehicleId = vehicle._id;
     }
 
-    // Filter by user relationship to ride
-    if (type === 'created') {
-      rideQuery.creatorId = req.user.id;
-    } else if (type === 'requested') {
-      rideQuery.requests = req.user.id;
-    } else if (type === 'confirmed') {
-      rideQuery.confirmedUsers = req.user.id;
-    } else if (type === 'all') {
-      rideQuery.$or = [
-        { creatorId: req.user.id },
-        { requests: req.user.id },
-        { confirmedUsers: req.user.id }
-      ];
+    let routeFields;
+    if (fields.stops !== undefined || routeChanged) {
+      const fromLocation = fields.fromLocation ?? ride.fromLocation;
+      const toLocation = fields.toLocation ?? ride.toLocation;
+      const stops = fields.stops ?? ride.stops;
+      const { error: routeError, field, ...resolved } = await resolveRoute(req.user.collegeId, fromLocation, toLocation, stops);
+      if (routeError) return res.status(400).json({ message: routeError, field });
+      // Ids and coordinates follow the new route; a location without
+      // coordinates clears the old point
+      routeFields = { ...resolved, fromPoint: resolved.fromPoint || null, toPoint: resolved.toPoint || null };
+
+      const route = [fromLocation, ...stops, toLocation];
+      // Each booked segment must still be on the route, pickup before drop-off
+      const stranded = ride.bookings.filter(booking => {
+        if (!booking.pickup) return false;
+        const pickupIndex = route.indexOf(booking.pickup);
+        const dropoffIndex = route.indexOf(booking.dropoff);
+        return pickupIndex === -1 || dropoffIndex === -1 || pickupIndex >= dropoffIndex;
+      });
+      if (stranded.length) {
+        return res.status(409).json({ message: "A passenger's pickup or drop-off is no longer on the route in that order", field: "stops" });
+      }
+    }
+
+    if (fields.preferredGender && fields.preferredGender !== "Any" && confirmedCount > 0) {
+      const { data: passengers, error } = await supabaseAdmin
+        .from('users')
+        .select('id, gender')
+        .in('id', ride.confirmedUsers);
+      if (error || !passengers) {
+        console.error("Error fetching passenger genders:", error);
+        return res.status(500).json({ message: "Could not verify confirmed passengers" });
+      }
+      const excluded = passengers.some(p => (p.gender || '').toLowerCase() !== fields.preferredGender.toLowerCase());
+      if (excluded) {
+        return res.status(409).json({
+          message: `Cannot restrict the ride to ${fields.preferredGender} while other passengers are confirmed`,
+          field: "preferredGender"
+        });
+      }
+    }
+
+    let parsedDate;
+    if (fields.dateTime !== undefined) {
+      parsedDate = new Date(fields.dateTime);
+      if (isNaN(parsedDate.getTime())) return res.status(400).json({ message: "Invalid date format" });
+      fields.dateTime = parsedDate;
+    }
+
+    // Vehicle details are for the creator and confirmed passengers only, so a
+    // vehicle swap stays out of the history every participant can read
+    const vehicleChanged = fields.vehicleId !== undefined &&
+      String(fields.vehicleId ?? "") !== String(ride.vehicleId ?? "");
+    const changes = Object.entries(fields)
+      .filter(([field]) => field !== "vehicleId")
+      .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(
+        field === "availableSeats" ? ride.availableSeats + seatsTaken : ride[field]
+      ))
+      .map(([field, value]) => ({
+        field,
+        from: field === "availableSeats" ? ride.availableSeats + seatsTaken : ride[field],
+        to: value
+      }));
+
+    if (changes.length === 0 && !vehicleChanged) return res.json({ message: "Nothing to update", ride });
+
+    // One conditional pipeline update: seat maths uses the live confirmedUsers
+    // so an accept landing in between can't push the ride past its seats
+    const { availableSeats: totalSeats, ...plainFields } = fields;
+    const set = Object.fromEntries(Object.entries({ ...plainFields, ...routeFields }).map(([field, value]) => [field, { $literal: value }]));
+    if (parsedDate) {
+      const retentionDays = confirmedCount ? 30 : 7;
+      set.expiresAt = { $literal: new Date(parsedDate.getTime() + retentionDays * 24 * 3600 * 1000) };
+    }
+    if (changes.length) {
+      set.history = {
+        $concatArrays: [
+          { $ifNull: ["$history", []] },
+          [{ $literal: { changedBy: req.user.id, changedAt: new Date(), changes } }]
+        ]
+      };
+    }
+
+    const pipeline = [{ $set: set }];
+    if (parsedDate) pipeline.push({ $set: { bookings: Ride.requestExpiriesExpr() } });
+    if (totalSeats !== undefined) {
+      pipeline.push(
+        { $set: { availableSeats: { $subtract: [totalSeats, Ride.seatsTakenExpr()] } } },
+        { $set: { status: { $cond: [{ $lte: ["$availableSeats", 0] }, "FULL", "OPEN"] } } }
+      );
+    }
+
+    const filter = { _id: rideId, status: { $in: BOOKABLE_STATUSES } };
+    if (totalSeats !== undefined) filter.$expr = { $lte: [Ride.seatsTakenExpr(), totalSeats] };
+
+    const updated = await Ride.findOneAndUpdate(filter, pipeline, { new: true });
+    if (!updated) {
+      return res.status(409).json({ message: "The ride changed while you were editing it, please try again" });
     }
 
-    const rides = await Ride.find(rideQuery).sort({ dateTime: 1 });
+    // Extra seats go to the waitlist first
+    const promoted = totalSeats !== undefined ? await Ride.promoteWaitlist(rideId) : [];
+    await notifyPromoted(updated, promoted);
+
+    const io = req.app.get("io");
+    if (io) io.to(`ride:${rideId}`).emit("ride:updated", { rideId, changes });
+
+    res.json({
+      message: "Ride updated",
+      changes,
+      promoted,
+      ride: promoted.length ? await Ride.findById(rideId) : updated
+    });
+  } catch (error) {
+    console.error("Error editing ride:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getUserRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { status, type, groupBy, cursor, limit } = req.query;
+    const after = cursor && decodeCursor(cursor);
+    if (cursor && !after) return res.status(400).json({ message: "Invalid cursor" });
+
+    const rideQuery = userRidesQuery(req.user, { status, type });
+    if (after) rideQuery.$and = [afterCursor(after)];
+
+    const found = await Ride.find(rideQuery).sort({ dateTime: 1, _id: 1 }).limit(limit + 1);
+    const { rides, nextCursor } = pageOf(found, limit);
 
     const allUserIds = new Set();
     rides.forEach(ride => {
       allUserIds.add(ride.creatorId);
       ride.requests.forEach(id => allUserIds.add(id));
       ride.confirmedUsers.forEach(id => allUserIds.add(id));
+      ride.waitlist.forEach(entry => allUserIds.add(entry.userId));
     });
 
     const userIdsArray = Array.from(allUserIds);
 
     if (userIdsArray.length === 0) {
-      return res.json([]);
+      return res.json({ rides: [], nextCursor });
     }
 
     const { data: users, error } = await supabaseAdmin
@@ -513,10 +1421,13 @@ export const getUserRides = async (req, res) => {
 
     if (error || !users) {
       console.error("Error fetching users:", error);
-      return res.json(rides.map(ride => ({
-        ...ride.toObject(),
-        creatorName: 'Unknown'
-      })));
+      return res.json({
+        rides: rides.map(ride => ({
+          ...ride.toObject(),
+          creatorName: 'Unknown'
+        })),
+        nextCursor
+      });
     }
 
     const userMap = {};
@@ -524,22 +1435,40 @@ export const getUserRides = async (req, res) => {
       userMap[user.id] = user;
     });
 
+    // Reliability of people asking to join the caller's own rides
+    const requesterIds = rides
+      .filter(ride => ride.creatorId === req.user.id)
+      .flatMap(ride => ride.requests);
+    const reliability = await reliabilityFor(requesterIds);
+
     const enrichedRides = rides.map(ride => {
+      const waitlistPosition = Ride.waitlistPosition(ride, req.user.id);
+      const expiredRequest = ride.expiredRequests.find(entry => entry.userId === req.user.id);
       const userRole = ride.creatorId === req.user.id ? 'creator' :
         ride.requests.includes(req.user.id) ? 'requested' :
-          ride.confirmedUsers.includes(req.user.id) ? 'confirmed' : 'none';
+          ride.confirmedUsers.includes(req.user.id) ? 'confirmed' :
+            waitlistPosition ? 'waitlisted' :
+              expiredRequest ? 'expired' : 'none';
+      // Booking notes are exposed per entry through bookingDetails instead
+      const { bookings, ...rideData } = ride.toObject();
 
       return {
-        ...ride.toObject(),
+        ...rideData,
         creatorName: userMap[ride.creatorId]?.name || 'Unknown',
         userRole,
+        waitlistPosition,
+        expiredRequest: expiredRequest
+          ? { requestedAt: expiredRequest.requestedAt, expiredAt: expiredRequest.expiredAt }
+          : null,
         requestDetails: ride.requests.map(id => ({
           id,
           name: userMap[id]?.name || 'Unknown',
           email: userMap[id]?.email,
           phone: userMap[id]?.phone,
           department: userMap[id]?.department,
-          year: userMap[id]?.year
+          year: userMap[id]?.year,
+          ...bookingDetails(ride, id, req.user.id),
+          ...(ride.creatorId === req.user.id && { reliability: reliability[id] })
         })),
         confirmedDetails: ride.confirmedUsers.map(id => ({
           id,
@@ -547,18 +1476,162 @@ export const getUserRides = async (req, res) => {
           email: userMap[id]?.email,
           phone: userMap[id]?.phone,
           department: userMap[id]?.department,
-          year: userMap[id]?.year
+          year: userMap[id]?.year,
+          ...bookingDetails(ride, id, req.user.id)
+        })),
+        waitlistDetails: waitlistOrder(ride).map((id, index) => ({
+          id,
+          name: userMap[id]?.name || 'Unknown',
+          position: index + 1,
+          ...bookingDetails(ride, id, req.user.id)
         }))
       };
     });
 
-    res.json(enrichedRides);
+    if (groupBy === 'series') {
+      return res.json({ rides: groupRidesBySeries(enrichedRides), nextCursor });
+    }
+
+    res.json({ rides: enrichedRides, nextCursor });
   } catch (error) {
     console.error("Error getting user rides:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
+// One export record per ride, with names and fare shares for the batch
+const exportRecords = async (rides, userId) => {
+  const userIds = [...new Set(rides.flatMap(ride => [ride.creatorId, ...ride.confirmedUsers]))];
+  const [{ data: users, error }, shares] = await Promise.all([
+    supabaseAdmin.from('users').select('id, name').in('id', userIds),
+    FareShare.find({
+      rideId: { $in: rides.map(ride => ride._id) },
+      $or: [{ payerId: userId }, { payeeId: userId }]
+    }).lean()
+  ]);
+  if (error) console.error("Error fetching users for export:", error);
+
+  const names = {};
+  (users || []).forEach(user => {
+    names[user.id] = user.name;
+  });
+
+  return rides.map(ride => {
+    const role = userRoleIn(ride, userId);
+    const rideShares = shares.filter(share => share.rideId.equals(ride._id));
+    const myShare = rideShares.find(share => share.payerId === userId);
+    const owedToMe = rideShares.filter(share => share.payeeId === userId);
+
+    return {
+      rideId: ride._id.toString(),
+      dateTime: new Date(ride.dateTime).toISOString(),
+      status: ride.status,
+      role,
+      fromLocation: ride.fromLocation,
+      toLocation: ride.toLocation,
+      stops: ride.stops || [],
+      seats: role === 'creator' ? null : Ride.bookedSeats(ride, userId),
+      creatorName: names[ride.creatorId] || 'Unknown',
+      coPassengers: ride.confirmedUsers.filter(id => id !== userId).map(id => names[id] || 'Unknown'),
+      fare: {
+        total: ride.fare?.total ?? null,
+        perSeat: ride.fare?.perSeat ?? null,
+        currency: ride.fare?.currency || myShare?.currency || null,
+        myShare: myShare ? myShare.amount : null,
+        myShareStatus: myShare ? (myShare.paid ? 'paid' : 'unpaid') : null,
+        owedToMe: owedToMe.length ? owedToMe.reduce((sum, share) => sum + share.amount, 0) : null,
+        paidToMe: owedToMe.length ? owedToMe.filter(share => share.paid).reduce((sum, share) => sum + share.amount, 0) : null
+      }
+    };
+  });
+};
+
+const EXPORT_COLUMNS = [
+  'rideId', 'dateTime', 'status', 'role', 'fromLocation', 'toLocation', 'stops', 'seats', 'creatorName',
+  'coPassengers', 'fareTotal', 'farePerSeat', 'currency', 'myShare', 'myShareStatus', 'owedToMe', 'paidToMe'
+];
+
+// Quoted when needed; text a spreadsheet would run as a formula gets a leading quote
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (record) => [
+  record.rideId, record.dateTime, record.status, record.role, record.fromLocation, record.toLocation,
+  record.stops.join('; '), record.seats, record.creatorName, record.coPassengers.join('; '),
+  record.fare.total, record.fare.perSeat, record.fare.currency, record.fare.myShare,
+  record.fare.myShareStatus, record.fare.owedToMe, record.fare.paidToMe
+].map(csvCell).join(',') + '\r\n';
+
+const EXPORT_BATCH_SIZE = 100;
+
+// Stream the caller's ride history, past and closed rides included, as CSV
+// or JSON. Rides are read with a cursor and written in batches, so the whole
+// history is never held in memory.
+export const exportUserRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  const { format, status, type } = req.query;
+  const cursor = Ride.find(userRidesQuery(req.user, { status, type }))
+    .select("-history")
+    .sort({ dateTime: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    cursor.close().catch(() => {});
+  });
+
+  // Wait for the client to catch up when the socket buffer is full. Whichever
+  // of drain/close fires removes the other, so long exports don't pile up listeners.
+  const write = (chunk) => res.write(chunk) || closed ? Promise.resolve() : new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  try {
+    let batch = [];
+    let written = 0;
+    const flush = async () => {
+      if (!batch.length) return;
+      for (const record of await exportRecords(batch, req.user.id)) {
+        await write(format === 'csv' ? csvRow(record) : `${written ? ',' : ''}\n${JSON.stringify(record)}`);
+        written += 1;
+      }
+      batch = [];
+    };
+
+    const filename = `gotogether-rides-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Type", format === 'csv' ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    await write(format === 'csv' ? EXPORT_COLUMNS.join(',') + '\r\n' : '[');
+
+    for await (const ride of cursor) {
+      if (closed) break;
+      batch.push(ride);
+      if (batch.length >= EXPORT_BATCH_SIZE) await flush();
+    }
+    if (!closed) await flush();
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error("Error exporting user rides:", error);
+    if (!res.headersSent) return res.status(500).json({ message: "Internal server error" });
+    // Headers are out, so the only way to signal failure is a truncated body
+    res.destroy(error);
+  }
+};
+
 export const getRideDetails = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
@@ -576,7 +1649,7 @@ export const getRideDetails = async (req, res) => {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    const allUserIds = [ride.creatorId, ...ride.requests, ...ride.confirmedUsers];
+    const allUserIds = [ride.creatorId, ...ride.requests, ...ride.confirmedUsers, ...waitlistOrder(ride)];
     const uniqueUserIds = [...new Set(allUserIds)];
 
     if (uniqueUserIds.length === 0) {
@@ -598,23 +1671,45 @@ export const getRideDetails = async (req, res) => {
       userMap[user.id] = user;
     });
 
+    const waitlistPosition = Ride.waitlistPosition(ride, req.user.id);
     const userRole = ride.creatorId === req.user.id ? 'creator' :
       ride.requests.includes(req.user.id) ? 'requested' :
-        ride.confirmedUsers.includes(req.user.id) ? 'confirmed' : 'none';
+        ride.confirmedUsers.includes(req.user.id) ? 'confirmed' :
+          waitlistPosition ? 'waitlisted' : 'none';
+
+    // Change history is only for people taking part in the ride, and the
+    // vehicle only for the creator and confirmed passengers
+    const { history, bookings, vehicleId, ...rideFields } = ride;
+    const vehicle = vehicleId && ['creator', 'confirmed'].includes(userRole)
+      ? await Vehicle.findById(vehicleId).select("make model colour plate capacity").lean()
+      : null;
 
     const enrichedRide = {
-      ...ride,
+      ...rideFields,
+      ...(userRole !== 'none' && { history: history || [] }),
+      hasVehicle: Boolean(vehicleId),
+      ...(vehicle && { vehicle }),
       creatorName: userMap[ride.creatorId]?.name || 'Unknown',
       userRole,
+      waitlistPosition,
+      waitlistLength: (ride.waitlist || []).length,
       requestDetails: ride.requests.map(id => ({
         id,
         name: userMap[id]?.name || 'Unknown',
-        email: userMap[id]?.email
+        email: userMap[id]?.email,
+        ...bookingDetails(ride, id, req.user.id)
       })),
       confirmedDetails: ride.confirmedUsers.map(id => ({
         id,
         name: userMap[id]?.name || 'Unknown',
-        email: userMap[id]?.email
+        email: userMap[id]?.email,
+        ...bookingDetails(ride, id, req.user.id)
+      })),
+      waitlistDetails: waitlistOrder(ride).map((id, index) => ({
+        id,
+        name: userMap[id]?.name || 'Unknown',
+        position: index + 1,
+        ...bookingDetails(ride, id, req.user.id)
       }))
     };
 
@@ -625,21 +1720,260 @@ export const getRideDetails = async (req, res) => {
   }
 };
 
+export const addSeats = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, seats } = req.body;
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (ride.creatorId !== req.user.id)
+      return res.status(403).json({ message: "Only creator can add seats" });
+    if (ride.availableSeats + Ride.seatsTaken(ride) + seats > 10)
+      return res.status(400).json({ message: "A ride cannot have more than 10 seats" });
+    if (ride.vehicleId) {
+      const vehicle = await Vehicle.findById(ride.vehicleId);
+      const capacityError = vehicle && Vehicle.capacityError(vehicle, ride.availableSeats + Ride.seatsTaken(ride) + seats);
+      if (capacityError) return res.status(400).json({ message: capacityError });
+    }
+
+    const updated = await Ride.addSeats(rideId, seats);
+    if (!updated) return res.status(409).json({ message: "Ride is no longer open" });
+
+    const promoted = await Ride.promoteWaitlist(rideId);
+    await notifyPromoted(updated, promoted);
+
+    res.json({
+      message: promoted.length
+        ? `Seats added; ${promoted.length} waitlisted user(s) confirmed`
+        : "Seats added",
+      promoted,
+      ride: promoted.length ? await Ride.findById(rideId) : updated
+    });
+  } catch (error) {
+    console.error("Error adding seats:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Mark a ride COMPLETED and settle its fare: every confirmed passenger gets
+// a ledger entry. Resolves to null when the ride can't be completed.
+const finishRide = async (rideId, fare) => {
+  const ride = await Ride.transition(rideId, "COMPLETED", { completedAt: new Date(), ...(fare && { fare }) });
+  if (!ride) return null;
+
+  const [fareShares] = await Promise.all([
+    FareShare.syncForRide(ride),
+    RideCompletion.recordForRide(ride),
+    RideStat.recordForRide(ride)
+  ]);
+  return { ride, fareShares };
+};
+
+// Cancel a ride and tell everyone on it or waiting for it, in the app, by
+// email and over its socket room. Resolves to null when it can't be cancelled.
+const cancelOneRide = async (rideId, { reason, cancelledBy, io }) => {
+  const ride = await Ride.transition(rideId, "CANCELLED", {
+    cancellation: { reason, cancelledBy, cancelledAt: new Date() }
+  });
+  if (!ride) return null;
+  await RideStat.recordForRide(ride);
+
+  if (io) io.to(`ride:${ride._id}`).emit("ride:cancelled", { rideId: ride._id, reason });
+
+  const recipients = [...new Set([...ride.confirmedUsers, ...ride.requests, ...waitlistOrder(ride)])];
+  if (recipients.length) {
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email')
+      .in('id', recipients);
+    if (error) console.error("Error fetching users to notify about cancellation:", error);
+
+    const title = `Ride cancelled: ${ride.fromLocation} → ${ride.toLocation}`;
+    const body = `The ride on ${ride.dateTime.toUTCString()} was cancelled by its creator. Reason: ${reason}`;
+    await Promise.all((users || []).map(user => notifyUser(io, {
+      userId: user.id,
+      type: "ride-cancelled",
+      title,
+      body,
+      rideId: ride._id,
+      email: user.email && {
+        to: user.email,
+        html: `
+          <div style="font-family:Arial,sans-serif;line-height:1.6">
+            <p>Hello ${xss(user.name || 'there')},</p>
+            <p>The ride from <strong>${xss(ride.fromLocation)}</strong> to <strong>${xss(ride.toLocation)}</strong>
+            on ${ride.dateTime.toUTCString()} has been cancelled.</p>
+            <p>Reason: ${xss(reason)}</p>
+          </div>
+        `
+      }
+    })));
+  }
+
+  return ride;
+};
+
+// Cancel this occurrence and every later one still bookable in its series,
+// or only those leaving from `from` on when given
+const cancelSeriesFrom = async (ride, options, from = ride.dateTime) => {
+  const occurrences = await Ride.find(
+    { seriesId: ride.seriesId, dateTime: { $gte: from }, status: { $in: BOOKABLE_STATUSES } },
+    { _id: 1 }
+  ).lean();
+
+  let cancelled = 0;
+  for (const occurrence of occurrences) {
+    if (await cancelOneRide(occurrence._id, options)) cancelled += 1;
+  }
+  await RideSeries.updateOne({ _id: ride.seriesId }, { $set: { status: "CANCELLED" } });
+  return cancelled;
+};
+
+export const startRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const ride = await Ride.findById(req.body.rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (ride.creatorId !== req.user.id)
+      return res.status(403).json({ message: "Only creator can start the ride" });
+    if (ride.dateTime.getTime() - Date.now() > 3600 * 1000)
+      return res.status(400).json({ message: "A ride can be started at most an hour before departure" });
+
+    const updated = await Ride.transition(ride._id, "IN_PROGRESS", { departedAt: new Date() });
+    if (!updated)
+      return res.status(409).json({ message: `A ${ride.status.toLowerCase()} ride cannot be started` });
+
+    const io = req.app.get("io");
+    if (io) io.to(`ride:${ride._id}`).emit("ride:departed", { rideId: ride._id, departedAt: updated.departedAt });
+
+    res.json({ message: "Ride started", ride: updated });
+  } catch (error) {
+    console.error("Error starting ride:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const completeRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, fare } = req.body;
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (ride.creatorId !== req.user.id)
+      return res.status(403).json({ message: "Only creator can complete the ride" });
+    if (ride.dateTime > new Date())
+      return res.status(400).json({ message: "A ride can only be completed after departure time" });
+
+    const result = await finishRide(rideId, fare);
+    if (!result)
+      return res.status(409).json({ message: `A ${ride.status.toLowerCase()} ride cannot be completed` });
+
+    res.json({ message: "Ride completed", ...result });
+  } catch (error) {
+    console.error("Error completing ride:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const cancelRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { rideId, reason, scope } = req.body;
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) return res.status(404).json({ message: "Ride not found" });
+    if (ride.creatorId !== req.user.id)
+      return res.status(403).json({ message: "Only creator can cancel the ride" });
+
+    const options = { reason, cancelledBy: req.user.id, io: req.app.get("io") };
+
+    if (scope === "series") {
+      if (!ride.seriesId) return res.status(400).json({ message: "Ride is not part of a series" });
+      const cancelled = await cancelSeriesFrom(ride, options);
+      return res.json({ message: `Cancelled ${cancelled} rides in the series` });
+    }
+
+    const updated = await cancelOneRide(rideId, options);
+    if (!updated)
+      return res.status(409).json({ message: `A ${ride.status.toLowerCase()} ride cannot be cancelled` });
+
+    res.json({ message: "Ride cancelled", ride: updated });
+  } catch (error) {
+    console.error("Error cancelling ride:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Kept for existing clients: completes a ride once its departure time has
+// passed, and cancels it before then
 export const closeRide = async (req, res) => {
   if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
 
   try {
-    const { rideId } = req.body;
+    const { rideId, scope, fare } = req.body;
     const ride = await Ride.findById(rideId);
 
     if (!ride) return res.status(404).json({ message: "Ride not found" });
     if (ride.creatorId !== req.user.id)
       return res.status(403).json({ message: "Only creator can close" });
 
-    ride.status = "CLOSED";
-    await ride.save();
+    const reason = req.body.reason || "Closed by the creator";
+    const options = { reason, cancelledBy: req.user.id, io: req.app.get("io") };
+
+    if (scope === "series") {
+      if (!ride.seriesId) return res.status(400).json({ message: "Ride is not part of a series" });
+
+      // From this occurrence on, rides that already left are completed and
+      // their fares settled, as a single close would; later ones are cancelled.
+      // Earlier rides keep their history.
+      const now = new Date();
+      const departed = await Ride.find(
+        {
+          seriesId: ride.seriesId,
+          dateTime: { $gte: ride.dateTime, $lte: now },
+          status: { $in: [...BOOKABLE_STATUSES, "IN_PROGRESS"] }
+        },
+        { _id: 1 }
+      ).lean();
+
+      const fareShares = [];
+      const notCompleted = [];
+      for (const occurrence of departed) {
+        const result = await finishRide(occurrence._id, occurrence._id.equals(ride._id) ? fare : undefined);
+        if (result) fareShares.push(...result.fareShares);
+        else notCompleted.push(occurrence._id);
+      }
+      const completed = departed.length - notCompleted.length;
+      const cancelled = await cancelSeriesFrom(ride, options, new Date(Math.max(ride.dateTime.getTime(), now.getTime() + 1)));
+      return res.json({
+        message: `Closed ${completed + cancelled} rides in the series` +
+          (notCompleted.length ? `; ${notCompleted.length} departed ride(s) could not be completed` : ''),
+        completed,
+        cancelled,
+        notCompleted,
+        fareShares
+      });
+    }
+
+    if (ride.dateTime <= new Date()) {
+      const result = await finishRide(rideId, fare);
+      if (!result)
+        return res.status(409).json({ message: `A ${ride.status.toLowerCase()} ride cannot be closed` });
+      return res.json({ message: "Ride closed successfully", ...result });
+    }
+
+    const updated = await cancelOneRide(rideId, options);
+    if (!updated)
+      return res.status(409).json({ message: `A ${ride.status.toLowerCase()} ride cannot be closed` });
 
-    res.json({ message: "Ride closed successfully", ride });
+    res.json({ message: "Ride closed successfully", ride: updated, fareShares: [] });
   } catch (error) {
     console.error("Error closing ride:", error);
     res.status(500).json({ message: "Internal server error" });
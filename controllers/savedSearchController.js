@@ -0,0 +1,99 @@
+import Joi from "joi";
+import SavedSearch from "../models/SavedSearch.js";
+
+const MAX_SAVED_SEARCHES = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Schema exports
+export const createSavedSearchSchema = Joi.object({
+  name: Joi.string().max(80).optional().allow(''),
+  from: Joi.string().max(120).optional().allow(''),
+  to: Joi.string().max(120).optional().allow(''),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+  timeFrom: Joi.string().pattern(TIME_PATTERN).optional(),
+  timeTo: Joi.string().pattern(TIME_PATTERN).optional(),
+  utcOffset: Joi.number().integer().min(-840).max(840).default(0),
+  preferredGender: Joi.string().valid("Any", "Male", "Female").default("Any"),
+  notifyInApp: Joi.boolean().default(true),
+  notifyEmail: Joi.boolean().default(false)
+})
+  .or("from", "to")
+  .oxor("date", "daysOfWeek")
+  .and("timeFrom", "timeTo");
+
+export const pauseSavedSearchSchema = Joi.object({
+  paused: Joi.boolean().required()
+});
+
+// Controller functions
+
+export const listSavedSearches = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const searches = await SavedSearch.find({ userId: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json(searches);
+  } catch (error) {
+    console.error("Error listing saved searches:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const createSavedSearch = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    if (!req.body.notifyInApp && !req.body.notifyEmail) {
+      return res.status(400).json({ message: "Choose in-app and/or email alerts" });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can keep at most ${MAX_SAVED_SEARCHES} saved searches` });
+    }
+
+    const search = await SavedSearch.create({
+      ...req.body,
+      userId: req.user.id,
+      collegeId: req.user.collegeId
+    });
+
+    res.status(201).json({ message: "Search saved", search });
+  } catch (error) {
+    console.error("Error saving search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const pauseSavedSearch = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.searchId, userId: req.user.id },
+      { $set: { paused: req.body.paused } },
+      { new: true }
+    );
+    if (!search) return res.status(404).json({ message: "Saved search not found" });
+
+    res.json({ message: search.paused ? "Alerts paused" : "Alerts resumed", search });
+  } catch (error) {
+    console.error("Error pausing saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const deleteSavedSearch = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const result = await SavedSearch.deleteOne({ _id: req.params.searchId, userId: req.user.id });
+    if (!result.deletedCount) return res.status(404).json({ message: "Saved search not found" });
+
+    res.json({ message: "Saved search deleted" });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,115 @@
+import Joi from "joi";
+import Vehicle from "../models/Vehicle.js";
+import Ride, { BOOKABLE_STATUSES } from "../models/Ride.js";
+
+const MAX_VEHICLES = 5;
+
+// Schema exports
+export const createVehicleSchema = Joi.object({
+  make: Joi.string().trim().min(1).max(40).required(),
+  model: Joi.string().trim().min(1).max(40).required(),
+  colour: Joi.string().trim().min(2).max(30).required(),
+  plate: Joi.string().trim().uppercase().pattern(/^[A-Z0-9 -]{2,15}$/).required(),
+  capacity: Joi.number().integer().min(1).max(10).required()
+});
+
+export const updateVehicleSchema = createVehicleSchema
+  .fork(["make", "model", "colour", "plate", "capacity"], field => field.optional())
+  .min(1);
+
+// Upcoming rides using a vehicle, with the total seats each one offers
+const upcomingRidesWith = (vehicleId) => Ride.aggregate([
+  { $match: { vehicleId, status: { $in: BOOKABLE_STATUSES }, dateTime: { $gte: new Date() } } },
+  { $project: { dateTime: 1, totalSeats: { $add: ["$availableSeats", Ride.seatsTakenExpr()] } } }
+]);
+
+// Controller functions
+
+export const listVehicles = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const vehicles = await Vehicle.find({ ownerId: req.user.id }).sort({ createdAt: 1 }).lean();
+    res.json(vehicles);
+  } catch (error) {
+    console.error("Error listing vehicles:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const createVehicle = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const count = await Vehicle.countDocuments({ ownerId: req.user.id });
+    if (count >= MAX_VEHICLES) {
+      return res.status(400).json({ message: `You can register at most ${MAX_VEHICLES} vehicles` });
+    }
+
+    const vehicle = await Vehicle.create({
+      ...req.body,
+      ownerId: req.user.id,
+      collegeId: req.user.collegeId
+    });
+
+    res.status(201).json({ message: "Vehicle added", vehicle });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You already registered a vehicle with this plate", field: "plate" });
+    }
+    console.error("Error adding vehicle:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateVehicle = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const vehicle = await Vehicle.findOwned(req.params.vehicleId, req.user.id);
+    if (!vehicle) return res.status(404).json({ message: "Vehicle not found" });
+
+    // Upcoming rides must still fit in the car
+    if (req.body.capacity !== undefined && req.body.capacity < vehicle.capacity) {
+      const rides = await upcomingRidesWith(vehicle._id);
+      const tooBig = rides.filter(ride => ride.totalSeats > req.body.capacity);
+      if (tooBig.length) {
+        return res.status(409).json({
+          message: `${tooBig.length} upcoming ride(s) offer more seats than ${req.body.capacity}; reduce their seats first`,
+          field: "capacity"
+        });
+      }
+    }
+
+    vehicle.set(req.body);
+    await vehicle.save();
+
+    res.json({ message: "Vehicle updated", vehicle });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You already registered a vehicle with this plate", field: "plate" });
+    }
+    console.error("Error updating vehicle:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const deleteVehicle = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const vehicle = await Vehicle.findOwned(req.params.vehicleId, req.user.id);
+    if (!vehicle) return res.status(404).json({ message: "Vehicle not found" });
+
+    const rides = await upcomingRidesWith(vehicle._id);
+    if (rides.length) {
+      return res.status(409).json({ message: `This vehicle is attached to ${rides.length} upcoming ride(s)` });
+    }
+
+    await vehicle.deleteOne();
+    res.json({ message: "Vehicle deleted" });
+  } catch (error) {
+    console.error("Error deleting vehicle:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,363 @@
+import Joi from "joi";
+import WantedRide from "../models/WantedRide.js";
+import Ride from "../models/Ride.js";
+import Vehicle from "../models/Vehicle.js";
+import Rating, { EMPTY_RATING } from "../models/Rating.js";
+import { createRideSchema } from "./rideController.js";
+import { resolveRoute } from "../utils/locations.js";
+import { alertSavedSearches } from "../utils/savedSearchAlerts.js";
+import { notifyUser } from "../utils/notifications.js";
+import { genderOf } from "../utils/users.js";
+import { matchNewRides, matchNewPost } from "../utils/matching.js";
+import { paginationKeys, decodeCursor, afterCursor, pageOf, encodeCursor } from "../utils/rideQuery.js";
+import { supabaseAdmin } from "../config/supabase.js";
+
+const MAX_OPEN_WANTED = 5;
+const MAX_WINDOW_HOURS = 24;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Schema exports
+export const createWantedRideSchema = Joi.object({
+  fromLocation: Joi.string().min(2).max(120).required(),
+  toLocation: Joi.string().min(2).max(120).required(),
+  earliest: Joi.date().iso().greater("now").required(),
+  latest: Joi.date().iso().greater(Joi.ref("earliest")).required(),
+  seats: Joi.number().integer().min(1).max(10).default(1),
+  preferredGender: Joi.string().valid("Any", "Male", "Female").default("Any"),
+  luggage: Joi.boolean().default(false),
+  note: Joi.string().trim().max(300).optional().allow('')
+});
+
+export const listWantedRidesSchema = Joi.object({
+  ...paginationKeys
+});
+
+// `around` finds posts whose window overlaps tolerance minutes either side;
+// `seats` keeps posts needing at most that many seats
+export const searchWantedRidesSchema = Joi.object({
+  from: Joi.string().max(120).optional().allow(''),
+  to: Joi.string().max(120).optional().allow(''),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  around: Joi.date().iso().optional(),
+  tolerance: Joi.number().integer().min(5).max(720).default(120),
+  utcOffset: Joi.number().integer().min(-840).max(840).default(0),
+  seats: Joi.number().integer().min(1).max(10).optional(),
+  ...paginationKeys
+}).oxor("date", "around");
+
+// The driver picks the departure time inside the post's window; the route
+// comes from the post, and availableSeats counts the poster's seats too
+export const convertWantedRideSchema = createRideSchema.keys({
+  fromLocation: Joi.forbidden(),
+  toLocation: Joi.forbidden(),
+  recurrence: Joi.forbidden()
+});
+
+// Posts the viewer could answer: open, not yet past, and without a gender
+// preference that rules them out
+const visibleQuery = (user, gender) => ({
+  collegeId: user.collegeId,
+  status: "OPEN",
+  latest: { $gte: new Date() },
+  preferredGender: { $in: ["Any", ...(gender ? [new RegExp(`^${escapeRegex(gender)}$`, "i")] : [])] }
+});
+
+const withPosters = async (posts) => {
+  const posterIds = [...new Set(posts.map(post => post.posterId))];
+  if (posterIds.length === 0) return posts;
+
+  const { data: posters, error } = await supabaseAdmin
+    .from('users')
+    .select('id, name')
+    .in('id', posterIds);
+
+  if (error || !posters) {
+    console.error("Error fetching posters:", error);
+    return posts;
+  }
+
+  const posterMap = {};
+  posters.forEach(poster => {
+    posterMap[poster.id] = poster.name;
+  });
+  const ratings = await Rating.summaries(posterIds);
+
+  return posts.map(post => ({
+    ...post,
+    posterName: posterMap[post.posterId] || 'Unknown',
+    posterRating: ratings[post.posterId] || EMPTY_RATING
+  }));
+};
+
+const findPage = async (query, { cursor, limit }) => {
+  const after = decodeCursor(cursor);
+  const found = await WantedRide.find(after ? { $and: [query, afterCursor(after, "earliest")] } : query)
+    .sort({ earliest: 1, _id: 1 })
+    .limit(limit + 1)
+    .lean();
+  return pageOf(found, limit, post => encodeCursor(post, "earliest"));
+};
+
+// Controller functions
+
+export const createWantedRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { earliest, latest } = req.body;
+    if (new Date(latest) - new Date(earliest) > MAX_WINDOW_HOURS * 3600 * 1000) {
+      return res.status(400).json({ message: `The time window can span at most ${MAX_WINDOW_HOURS} hours` });
+    }
+
+    const route = await resolveRoute(req.user.collegeId, req.body.fromLocation, req.body.toLocation);
+    if (route.error) {
+      return res.status(400).json({ message: route.error, field: route.field });
+    }
+
+    const openCount = await WantedRide.countDocuments({
+      posterId: req.user.id,
+      status: "OPEN",
+      latest: { $gte: new Date() }
+    });
+    if (openCount >= MAX_OPEN_WANTED) {
+      return res.status(400).json({ message: `You can have at most ${MAX_OPEN_WANTED} open ride-wanted posts` });
+    }
+
+    const post = await WantedRide.create({
+      ...req.body,
+      note: req.body.note || '',
+      fromLocationId: route.fromLocationId,
+      toLocationId: route.toLocationId,
+      posterId: req.user.id,
+      collegeId: req.user.collegeId,
+      expiresAt: new Date(new Date(latest).getTime() + 7 * 24 * 3600 * 1000)
+    });
+
+    matchNewPost(post, req.app.get("io"))
+      .catch(err => console.error("Error matching new ride-wanted post:", err));
+
+    res.status(201).json({ message: "Ride-wanted post created", post });
+  } catch (error) {
+    console.error("Error creating ride-wanted post:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const listWantedRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    if (req.query.cursor && !decodeCursor(req.query.cursor)) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const gender = await genderOf(req.user.id);
+    const { rides: posts, nextCursor } = await findPage(visibleQuery(req.user, gender), req.query);
+    res.json({ posts: await withPosters(posts), nextCursor });
+  } catch (error) {
+    console.error("Error listing ride-wanted posts:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const searchWantedRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const { from, to, date, around, tolerance, utcOffset, seats, cursor } = req.query;
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    if (!from && !to && !date && !around) {
+      return res.status(400).json({ message: "Please specify at least one search parameter" });
+    }
+
+    const conditions = [visibleQuery(req.user, await genderOf(req.user.id))];
+    if (from) conditions.push({ fromLocation: { $regex: escapeRegex(from), $options: 'i' } });
+    if (to) conditions.push({ toLocation: { $regex: escapeRegex(to), $options: 'i' } });
+    if (seats) conditions.push({ seats: { $lte: seats } });
+
+    // Posts whose window overlaps [start, end]
+    let start, end;
+    if (date) {
+      start = new Date(new Date(date + 'T00:00:00.000Z').getTime() - utcOffset * 60 * 1000);
+      end = new Date(start.getTime() + 24 * 3600 * 1000 - 1);
+    } else if (around) {
+      start = new Date(new Date(around).getTime() - tolerance * 60 * 1000);
+      end = new Date(new Date(around).getTime() + tolerance * 60 * 1000);
+    }
+    if (start) conditions.push({ earliest: { $lte: end }, latest: { $gte: start } });
+
+    const { rides: posts, nextCursor } = await findPage({ $and: conditions }, req.query);
+    res.json({ posts: await withPosters(posts), nextCursor });
+  } catch (error) {
+    console.error("Error searching ride-wanted posts:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getMyWantedRides = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const posts = await WantedRide.find({ posterId: req.user.id }).sort({ earliest: -1 }).lean();
+    res.json(posts);
+  } catch (error) {
+    console.error("Error getting own ride-wanted posts:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const cancelWantedRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const post = await WantedRide.findOneAndUpdate(
+      { _id: req.params.wantedId, posterId: req.user.id, status: "OPEN" },
+      { $set: { status: "CANCELLED", cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!post) return res.status(404).json({ message: "Open ride-wanted post not found" });
+
+    res.json({ message: "Ride-wanted post cancelled", post });
+  } catch (error) {
+    console.error("Error cancelling ride-wanted post:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// A driver turns a post into a Ride with the poster already confirmed
+export const convertWantedRide = async (req, res) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: user not found" });
+
+  try {
+    const {
+      stops, availableSeats, preferredGender, luggageSpace, timeNegotiation,
+      additionalNotes, dateTime, allowChat, fare, vehicleId
+    } = req.body;
+
+    const post = await WantedRide.findOne({ _id: req.params.wantedId, collegeId: req.user.collegeId }).lean();
+    if (!post) return res.status(404).json({ message: "Ride-wanted post not found" });
+    if (post.posterId === req.user.id) {
+      return res.status(400).json({ message: "You cannot answer your own ride-wanted post" });
+    }
+    if (post.status !== "OPEN" || post.latest < new Date()) {
+      return res.status(409).json({ message: "This ride-wanted post is no longer open" });
+    }
+
+    const departure = new Date(dateTime);
+    if (departure < post.earliest || departure > post.latest || departure < new Date()) {
+      return res.status(400).json({ message: "Departure must fall inside the post's time window and be in the future" });
+    }
+    if (availableSeats < post.seats) {
+      return res.status(400).json({ message: `The poster needs ${post.seats} seat(s)` });
+    }
+    if (post.luggage && !luggageSpace) {
+      return res.status(400).json({ message: "The poster needs luggage space" });
+    }
+    if (vehicleId) {
+      const vehicle = await Vehicle.findOwned(vehicleId, req.user.id);
+      if (!vehicle) return res.status(400).json({ message: "Vehicle not found", field: "vehicleId" });
+      const capacityError = Vehicle.capacityError(vehicle, availableSeats);
+      if (capacityError) return res.status(400).json({ message: capacityError, field: "availableSeats" });
+    }
+
+    const { data: users, error: usersError } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email, gender')
+      .in('id', [post.posterId, req.user.id]);
+    const poster = users?.find(user => user.id === post.posterId);
+    const driver = users?.find(user => user.id === req.user.id);
+    if (usersError || !poster || !driver) {
+      console.error("Error fetching poster and driver:", usersError);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+    if (post.preferredGender !== "Any" && post.preferredGender.toLowerCase() !== driver.gender?.toLowerCase()) {
+      return res.status(403).json({ message: "The poster asked for a different gender preference" });
+    }
+    if (preferredGender !== "Any" && preferredGender.toLowerCase() !== poster.gender?.toLowerCase()) {
+      return res.status(400).json({ message: "The ride's gender preference would exclude the poster" });
+    }
+
+    const route = await resolveRoute(req.user.collegeId, post.fromLocation, post.toLocation, stops);
+    if (route.error) {
+      return res.status(400).json({ message: route.error, field: route.field });
+    }
+
+    // Claim the post first so two drivers cannot both answer it
+    const claimed = await WantedRide.findOneAndUpdate(
+      { _id: post._id, status: "OPEN" },
+      { $set: { status: "FULFILLED", fulfilledBy: req.user.id, fulfilledAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return res.status(409).json({ message: "This ride-wanted post is no longer open" });
+
+    let ride;
+    try {
+      const seatsLeft = availableSeats - post.seats;
+      ride = await Ride.create({
+        creatorId: req.user.id,
+        creatorCollegeId: req.user.collegeId,
+        fromLocation: post.fromLocation,
+        toLocation: post.toLocation,
+        stops,
+        fromLocationId: route.fromLocationId,
+        toLocationId: route.toLocationId,
+        stopIds: route.stopIds,
+        fromPoint: route.fromPoint,
+        toPoint: route.toPoint,
+        availableSeats: seatsLeft,
+        vehicleId,
+        preferredGender,
+        luggageSpace,
+        timeNegotiation,
+        additionalNotes: additionalNotes || '',
+        dateTime: departure,
+        allowChat,
+        fare,
+        confirmedUsers: [post.posterId],
+        bookings: [{
+          userId: post.posterId,
+          seats: post.seats,
+          luggage: post.luggage,
+          note: post.note ? post.note.slice(0, 200) : undefined,
+          requestedAt: post.createdAt
+        }],
+        status: seatsLeft === 0 ? "FULL" : "OPEN",
+        expiresAt: new Date(departure.getTime() + 7 * 24 * 3600 * 1000)
+      });
+    } catch (createError) {
+      await WantedRide.updateOne(
+        { _id: post._id },
+        { $set: { status: "OPEN" }, $unset: { fulfilledBy: "", fulfilledAt: "" } }
+      );
+      throw createError;
+    }
+
+    claimed.rideId = ride._id;
+    await claimed.save();
+
+    const io = req.app.get("io");
+    await notifyUser(io, {
+      userId: post.posterId,
+      type: "wanted-fulfilled",
+      title: `Ride found: ${post.fromLocation} → ${post.toLocation}`,
+      body: `${driver.name || 'A driver'} offered a ride on ${departure.toUTCString()} and you are confirmed on it.`,
+      rideId: ride._id,
+      email: poster.email && { to: poster.email }
+    });
+
+    if (ride.availableSeats > 0) {
+      alertSavedSearches([ride], io)
+        .catch(err => console.error("Error sending saved search alerts:", err));
+      matchNewRides([ride], io)
+        .catch(err => console.error("Error matching new ride:", err));
+    }
+
+    res.status(201).json({ message: "Ride created from ride-wanted post", ride, post: claimed });
+  } catch (error) {
+    console.error("Error converting ride-wanted post:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
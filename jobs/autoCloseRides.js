@@ -0,0 +1,34 @@
+import Ride from "../models/Ride.js";
+import FareShare from "../models/FareShare.js";
+import RideCompletion from "../models/RideCompletion.js";
+import RideStat from "../models/RideStat.js";
+
+// Rides are completed this long after their departure time
+const CLOSE_AFTER_MS = Number(process.env.AUTO_CLOSE_AFTER_HOURS || 6) * 3600 * 1000;
+
+export default {
+  name: "autoCloseRides",
+  intervalMs: Number(process.env.AUTO_CLOSE_INTERVAL_MINUTES || 10) * 60 * 1000,
+
+  // Complete rides nobody closed by hand, settling fares like completeRide does
+  async run() {
+    const due = await Ride.find(
+      {
+        status: { $in: ["OPEN", "FULL", "IN_PROGRESS"] },
+        dateTime: { $lte: new Date(Date.now() - CLOSE_AFTER_MS) }
+      },
+      { _id: 1 }
+    ).lean();
+
+    let completed = 0;
+    for (const { _id } of due) {
+      const ride = await Ride.transition(_id, "COMPLETED", { completedAt: new Date() });
+      if (!ride) continue;
+      completed += 1;
+      await FareShare.syncForRide(ride);
+      await RideCompletion.recordForRide(ride);
+      await RideStat.recordForRide(ride);
+    }
+    return { completed };
+  }
+};
@@ -0,0 +1,102 @@
+import Ride, { BOOKABLE_STATUSES } from "../models/Ride.js";
+import { supabaseAdmin } from "../config/supabase.js";
+import { notifyUser } from "../utils/notifications.js";
+
+const REQUEST_CUTOFF_MS = Number(process.env.REQUEST_CUTOFF_MINUTES || 60) * 60 * 1000;
+
+export default {
+  name: "expireStaleRequests",
+  intervalMs: Number(process.env.EXPIRE_REQUESTS_INTERVAL_MINUTES || 5) * 60 * 1000,
+
+  // Lapse pending requests nobody decided on in time (see Ride.requestExpiry)
+  // and tell both sides, then drop waitlist entries on rides that have left
+  async run() {
+    const now = new Date();
+    const rides = await Ride.find(
+      {
+        status: { $in: [...BOOKABLE_STATUSES, "IN_PROGRESS"] },
+        "requests.0": { $exists: true },
+        $or: [
+          { dateTime: { $lte: new Date(now.getTime() + REQUEST_CUTOFF_MS) } },
+          { "bookings.expiresAt": { $lte: now } }
+        ]
+      }
+    ).lean();
+
+    let expired = 0;
+    for (const ride of rides) {
+      const lapsed = [];
+      for (const userId of ride.requests) {
+        // Requests made before expiry existed have no booking or expiresAt
+        const booking = (ride.bookings || []).find(b => b.userId === userId) || { userId, requestedAt: ride.createdAt };
+        const expiresAt = booking.expiresAt || Ride.requestExpiry(ride, booking.requestedAt);
+        if (expiresAt > now) continue;
+
+        if (await Ride.expireRequest(ride._id, booking)) lapsed.push(userId);
+      }
+
+      if (lapsed.length) {
+        expired += lapsed.length;
+        await notifyExpired(ride, lapsed);
+      }
+    }
+
+    const dropped = await Ride.updateMany(
+      {
+        status: { $in: [...BOOKABLE_STATUSES, "IN_PROGRESS"] },
+        dateTime: { $lte: now },
+        "waitlist.0": { $exists: true }
+      },
+      [{
+        $set: {
+          bookings: {
+            $filter: {
+              input: { $ifNull: ["$bookings", []] },
+              as: "booking",
+              cond: { $not: [{ $in: ["$$booking.userId", "$waitlist.userId"] }] }
+            }
+          },
+          waitlist: []
+        }
+      }]
+    );
+
+    return { expired, waitlistsCleared: dropped.modifiedCount };
+  }
+};
+
+const notifyExpired = async (ride, userIds) => {
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, name, email')
+    .in('id', [ride.creatorId, ...userIds]);
+  if (error) {
+    console.error("Error fetching users for expired requests:", error);
+    return;
+  }
+
+  const userMap = {};
+  (users || []).forEach(user => {
+    userMap[user.id] = user;
+  });
+  const route = `${ride.fromLocation} → ${ride.toLocation}`;
+
+  await Promise.all(userIds.map(userId => notifyUser(null, {
+    userId,
+    type: "request-expired",
+    title: `Request expired: ${route}`,
+    body: `Your request for the ride on ${ride.dateTime.toUTCString()} expired before the creator decided. You can request again while the ride is open.`,
+    rideId: ride._id,
+    email: userMap[userId]?.email && { to: userMap[userId].email }
+  })));
+
+  const names = userIds.map(id => userMap[id]?.name || 'Unknown').join(', ');
+  await notifyUser(null, {
+    userId: ride.creatorId,
+    type: "request-expired",
+    title: `${userIds.length} request(s) expired: ${route}`,
+    body: `Requests from ${names} for your ride on ${ride.dateTime.toUTCString()} expired without a decision.`,
+    rideId: ride._id,
+    email: userMap[ride.creatorId]?.email && { to: userMap[ride.creatorId].email }
+  });
+};
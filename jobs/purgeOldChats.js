@@ -0,0 +1,13 @@
+import Chat from "../models/Chat.js";
+
+export default {
+  name: "purgeOldChats",
+  intervalMs: Number(process.env.PURGE_CHATS_INTERVAL_MINUTES || 60) * 60 * 1000,
+
+  // The TTL index on expiresAt also removes these, but only about once a
+  // minute and not at all where TTL monitoring is off
+  async run() {
+    const result = await Chat.deleteMany({ expiresAt: { $lte: new Date() } });
+    return { deleted: result.deletedCount };
+  }
+};
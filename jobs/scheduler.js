@@ -0,0 +1,68 @@
+import os from "os";
+import crypto from "crypto";
+import JobLock from "../models/JobLock.js";
+import autoCloseRides from "./autoCloseRides.js";
+import expireStaleRequests from "./expireStaleRequests.js";
+import purgeOldChats from "./purgeOldChats.js";
+import sendReminders from "./sendReminders.js";
+
+// Each job module exports { name, intervalMs, run }
+const JOBS = [autoCloseRides, expireStaleRequests, purgeOldChats, sendReminders];
+
+// Identifies this process when taking job leases
+const OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+const timers = [];
+
+// A run renews its lease this often, well before it would lapse
+const RENEW_FRACTION = 3;
+
+const runJob = async (job) => {
+  const acquired = await JobLock.acquire(job.name, OWNER, job.intervalMs);
+  if (!acquired) return;
+
+  const startedAt = Date.now();
+  // Keep the lease alive while the job runs, however long it takes, so no
+  // other tick or instance starts an overlapping run
+  const renewal = setInterval(() => {
+    JobLock.renew(job.name, OWNER, job.intervalMs)
+      .then(held => {
+        if (!held) console.error(`[Scheduler] ${job.name} lost its lease while running`);
+      })
+      .catch(error => console.error(`[Scheduler] ${job.name} lease renewal failed:`, error));
+  }, job.intervalMs / RENEW_FRACTION);
+
+  try {
+    const result = await job.run();
+    await JobLock.updateOne({ _id: job.name }, { $set: { lastRunAt: new Date(startedAt) }, $unset: { lastError: 1 } });
+    console.log(`[Scheduler] ${job.name} finished in ${Date.now() - startedAt}ms`, result ?? '');
+  } catch (error) {
+    console.error(`[Scheduler] ${job.name} failed:`, error);
+    await JobLock.updateOne({ _id: job.name }, { $set: { lastRunAt: new Date(startedAt), lastError: error.message } })
+      .catch(() => {});
+  } finally {
+    clearInterval(renewal);
+    await JobLock.release(job.name, OWNER, new Date(startedAt + job.intervalMs))
+      .catch(error => console.error(`[Scheduler] ${job.name} lease release failed:`, error));
+  }
+};
+
+// Run every job on its interval. Safe to start on several instances at once:
+// the Mongo lease in JobLock lets only one of them run a job per interval.
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("[Scheduler] Disabled by SCHEDULER_ENABLED=false");
+    return;
+  }
+
+  JOBS.forEach(job => {
+    const tick = () => runJob(job).catch(error => console.error(`[Scheduler] ${job.name} lock error:`, error));
+    tick();
+    timers.push(setInterval(tick, job.intervalMs));
+  });
+  console.log(`✅ Scheduler started with ${JOBS.length} jobs as ${OWNER}`);
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
@@ -0,0 +1,109 @@
+import Ride, { BOOKABLE_STATUSES } from "../models/Ride.js";
+import ReminderLog from "../models/ReminderLog.js";
+import { supabaseAdmin } from "../config/supabase.js";
+import { notifyUser } from "../utils/notifications.js";
+import xss from "xss";
+
+const DEFAULT_OFFSETS = [1440, 60];
+const MAX_REMINDER_OFFSET_MINUTES = 2880;
+// A reminder whose moment passed longer ago than this is skipped, e.g. the
+// 24h reminder for a ride posted two hours before departure
+const GRACE_MS = 30 * 60 * 1000;
+
+const describeOffset = (minutes) =>
+  minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`;
+
+// Reminders are worked out from each ride's current dateTime and status on
+// every run rather than stored ahead of time, so a changed departure time
+// reschedules them and a closed or cancelled ride drops them automatically.
+export default {
+  name: "sendReminders",
+  intervalMs: Number(process.env.REMINDER_INTERVAL_MINUTES || 5) * 60 * 1000,
+
+  async run() {
+    const now = Date.now();
+    const rides = await Ride.find({
+      status: { $in: BOOKABLE_STATUSES },
+      dateTime: { $gt: new Date(now), $lte: new Date(now + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000 + GRACE_MS) }
+    }).lean();
+    if (!rides.length) return { sent: 0 };
+
+    const userIds = [...new Set(rides.flatMap(ride => [ride.creatorId, ...ride.confirmedUsers]))];
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email, reminder_offsets')
+      .in('id', userIds);
+    if (error) throw error;
+
+    const userMap = {};
+    (users || []).forEach(user => {
+      userMap[user.id] = user;
+    });
+
+    let sent = 0;
+    for (const ride of rides) {
+      const participants = [ride.creatorId, ...ride.confirmedUsers];
+
+      for (const userId of participants) {
+        const user = userMap[userId];
+        if (!user) continue;
+
+        const offsets = user.reminder_offsets || DEFAULT_OFFSETS;
+        for (const offsetMinutes of offsets) {
+          const sendAt = ride.dateTime.getTime() - offsetMinutes * 60 * 1000;
+          if (sendAt > now || now - sendAt > GRACE_MS) continue;
+
+          // Claim the reminder first so overlapping runs never send it twice
+          try {
+            await ReminderLog.create({
+              rideId: ride._id,
+              userId,
+              offsetMinutes,
+              rideDateTime: ride.dateTime,
+              expiresAt: new Date(ride.dateTime.getTime() + 7 * 24 * 3600 * 1000)
+            });
+          } catch (claimError) {
+            if (claimError.code === 11000) continue;
+            throw claimError;
+          }
+
+          await sendReminder(ride, user, offsetMinutes, userMap);
+          sent += 1;
+        }
+      }
+    }
+    return { sent };
+  }
+};
+
+const sendReminder = async (ride, user, offsetMinutes, userMap) => {
+  const booking = (ride.bookings || []).find(b => b.userId === user.id);
+  const meetingPoint = booking?.pickup || ride.fromLocation;
+  const companions = [ride.creatorId, ...ride.confirmedUsers]
+    .filter(id => id !== user.id)
+    .map(id => userMap[id]?.name || 'Unknown');
+
+  const title = `Ride in ${describeOffset(offsetMinutes)}: ${ride.fromLocation} → ${ride.toLocation}`;
+  const body = `Meet at ${meetingPoint} on ${ride.dateTime.toUTCString()}.` +
+    (companions.length ? ` Riding with: ${companions.join(', ')}.` : '');
+
+  await notifyUser(null, {
+    userId: user.id,
+    type: "ride-reminder",
+    title,
+    body,
+    rideId: ride._id,
+    email: user.email && {
+      to: user.email,
+      html: `
+        <div style="font-family:Arial,sans-serif;line-height:1.6">
+          <p>Hello ${xss(user.name || 'there')},</p>
+          <p>Your ride from <strong>${xss(ride.fromLocation)}</strong> to <strong>${xss(ride.toLocation)}</strong>
+          leaves in ${describeOffset(offsetMinutes)}, on ${ride.dateTime.toUTCString()}.</p>
+          <p><strong>Meeting point:</strong> ${xss(meetingPoint)}</p>
+          ${companions.length ? `<p><strong>Riding with:</strong> ${xss(companions.join(', '))}</p>` : ''}
+        </div>
+      `
+    }
+  });
+};
@@ -21,7 +21,7 @@ export const protect = async (req, res, next) => {
         const { data: user, error } = await supabaseAdmin
             .from('users')
             .select(`
-                id, name, email, college_id, role,
+                id, name, email, college_id, role, is_admin,
                 colleges (
                     id,
                     name,
@@ -47,6 +47,7 @@ export const protect = async (req, res, next) => {
             email: user.email,
             collegeId: user.college_id, // Map college_id to collegeId
             role: user.role,
+            isAdmin: Boolean(user.is_admin),
             college: user.colleges // Include college info if needed
         };
 
@@ -61,6 +62,14 @@ export const protect = async (req, res, next) => {
     }
 };
 
+// Use after protect: only college administrators (users.is_admin) get through
+export const requireAdmin = (req, res, next) => {
+    if (!req.user?.isAdmin) {
+        return res.status(403).json({ message: 'Administrator access required' });
+    }
+    next();
+};
+
 // Alternative export for compatibility
 export const authenticateToken = protect;
 
@@ -81,7 +90,7 @@ export const optionalAuth = async (req, res, next) => {
         const { data: user, error } = await supabaseAdmin
             .from('users')
             .select(`
-                id, name, email, college_id, role,
+                id, name, email, college_id, role, is_admin,
                 colleges (
                     id,
                     name,
@@ -98,6 +107,7 @@ export const optionalAuth = async (req, res, next) => {
                 email: user.email,
                 collegeId: user.college_id,
                 role: user.role,
+                isAdmin: Boolean(user.is_admin),
                 college: user.colleges
             };
         } else {
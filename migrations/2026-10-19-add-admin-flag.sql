@@ -0,0 +1,4 @@
+-- College transport coordinators who may use the analytics API.
+-- Set by hand; users cannot grant it to themselves.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT false;
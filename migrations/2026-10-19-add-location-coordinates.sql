@@ -0,0 +1,5 @@
+-- Coordinates for each location, copied onto rides as GeoJSON points for
+-- distance-based search. Locations without them are left out of that search.
+ALTER TABLE locations
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
@@ -0,0 +1,4 @@
+-- Minutes before departure at which each user wants a ride reminder.
+-- An empty array turns reminders off.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[] NOT NULL DEFAULT '{1440,60}';
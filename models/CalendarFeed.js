@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Secret token for a user's .ics feed, which calendar apps fetch without logging in
+const calendarFeedSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  collegeId: { type: String, required: true },
+  token: { type: String, required: true, unique: true },
+  lastFetchedAt: { type: Date }
+}, { timestamps: true });
+
+export default mongoose.model("CalendarFeed", calendarFeedSchema);
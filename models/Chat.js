@@ -19,22 +19,4 @@ const chatSchema = new mongoose.Schema({
 // Index for faster queries
 chatSchema.index({ rideId: 1 });
 
-// Auto-delete expired chats after fetching
-chatSchema.post("find", async function (docs) {
-  const now = new Date();
-  for (let doc of docs) {
-    if (doc.expiresAt && doc.expiresAt < now) {
-      await doc.deleteOne();
-    }
-  }
-});
-
-chatSchema.post("findOne", async function (doc) {
-  if (!doc) return;
-  const now = new Date();
-  if (doc.expiresAt && doc.expiresAt < now) {
-    await doc.deleteOne();
-  }
-});
-
 export default mongoose.model("Chat", chatSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import Ride from "./Ride.js";
+
+// What one confirmed passenger owes the creator for a ride, and whether it has
+// been settled
+const fareShareSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  collegeId: { type: String, required: true },
+  payerId: { type: String, required: true }, // confirmed passenger
+  payeeId: { type: String, required: true }, // ride creator
+  seats: { type: Number, required: true, min: 1 },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: "INR" },
+  rideDateTime: { type: Date, required: true },
+  route: { type: String }, // "from → to", for listing without loading the ride
+  paid: { type: Boolean, default: false },
+  markedBy: { type: String },
+  paidAt: { type: Date }
+}, { timestamps: true });
+
+fareShareSchema.index({ rideId: 1, payerId: 1 }, { unique: true });
+fareShareSchema.index({ payerId: 1, paid: 1 });
+fareShareSchema.index({ payeeId: 1, paid: 1 });
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Each confirmed passenger's share of the fare. A total fare is split per
+// seat across the passengers' seats plus the creator's own seat, in whole
+// cents, with the leftover cents on the first share so the passengers' shares
+// add up exactly; a per-seat price is charged per booked seat.
+fareShareSchema.statics.computeShares = (ride) => {
+  const { fare } = ride;
+  if (!fare || (fare.total == null && fare.perSeat == null)) return [];
+
+  const passengers = ride.confirmedUsers.map(userId => ({ userId, seats: Ride.bookedSeats(ride, userId) }));
+  if (fare.perSeat != null) {
+    return passengers.map(({ userId, seats }) => ({ userId, seats, amount: roundMoney(fare.perSeat * seats) }));
+  }
+
+  const seatsTaken = Ride.seatsTaken(ride);
+  const owedCents = Math.round(Math.round(fare.total * 100) * seatsTaken / (seatsTaken + 1));
+  const cents = passengers.map(({ seats }) => Math.floor(owedCents * seats / seatsTaken));
+  if (cents.length) cents[0] += owedCents - cents.reduce((sum, value) => sum + value, 0);
+  return passengers.map(({ userId, seats }, index) => ({ userId, seats, amount: cents[index] / 100 }));
+};
+
+// Bring a ride's ledger entries in line with its fare and passengers. Paid
+// status survives a recalculation; passengers no longer confirmed are dropped.
+fareShareSchema.statics.syncForRide = async function (ride) {
+  const shares = this.computeShares(ride);
+
+  await this.deleteMany({ rideId: ride._id, payerId: { $nin: shares.map(share => share.userId) } });
+  if (!shares.length) return [];
+
+  await this.bulkWrite(shares.map(share => ({
+    updateOne: {
+      filter: { rideId: ride._id, payerId: share.userId },
+      update: {
+        $set: {
+          collegeId: ride.creatorCollegeId,
+          payeeId: ride.creatorId,
+          seats: share.seats,
+          amount: share.amount,
+          currency: ride.fare.currency || "INR",
+          rideDateTime: ride.dateTime,
+          route: `${ride.fromLocation} → ${ride.toLocation}`
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return this.find({ rideId: ride._id }).lean();
+};
+
+export default mongoose.model("FareShare", fareShareSchema);
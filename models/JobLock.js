@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Lease for a scheduled job, keyed by job name. Whoever holds an unexpired
+// lease runs the job; the lease lasts a whole interval so several instances
+// together still run each job at most once per interval, and is renewed while
+// a run takes longer than that.
+const jobLockSchema = new mongoose.Schema({
+  _id: { type: String }, // job name
+  owner: { type: String, required: true },
+  lockedUntil: { type: Date, required: true },
+  lastRunAt: { type: Date },
+  lastError: { type: String }
+}, { timestamps: true });
+
+// Take the lease for `name` if it is free or expired. Resolves to true when
+// this owner holds it; losing the race to another instance resolves to false.
+jobLockSchema.statics.acquire = async function (name, owner, leaseMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + leaseMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner;
+  } catch (error) {
+    // The upsert collides with a live lease held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Push the owner's lease out to leaseMs from now. Resolves to false when the
+// lease has been lost to another owner.
+jobLockSchema.statics.renew = async function (name, owner, leaseMs) {
+  const result = await this.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount === 1;
+};
+
+// After a run, hold the lease until `until` so the job still runs at most once
+// per interval, or free it now if that time has already passed
+jobLockSchema.statics.release = function (name, owner, until) {
+  return this.updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date(Math.max(until.getTime(), Date.now())) } }
+  );
+};
+
+export default mongoose.model("JobLock", jobLockSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A participant reporting that someone didn't turn up. The reported user can
+// dispute it until disputeDeadline; undisputed reports count as upheld after that.
+// A college administrator resolves disputed reports to UPHELD or DISMISSED.
+const noShowReportSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  collegeId: { type: String, required: true },
+  reporterId: { type: String, required: true },
+  reportedId: { type: String, required: true },
+  note: { type: String, maxlength: 300 },
+  rideDateTime: { type: Date, required: true },
+  status: { type: String, enum: ["PENDING", "DISPUTED", "UPHELD", "DISMISSED"], default: "PENDING" },
+  disputeDeadline: { type: Date, required: true },
+  disputeNote: { type: String, maxlength: 300 },
+  disputedAt: { type: Date },
+  resolvedBy: { type: String },
+  resolutionNote: { type: String, maxlength: 300 },
+  resolvedAt: { type: Date }
+}, { timestamps: true });
+
+noShowReportSchema.index({ rideId: 1, reporterId: 1, reportedId: 1 }, { unique: true });
+noShowReportSchema.index({ reportedId: 1, status: 1 });
+noShowReportSchema.index({ collegeId: 1, status: 1, disputedAt: 1 });
+
+// Query matching reports that count against the reported user
+noShowReportSchema.statics.upheldQuery = (now = new Date()) => ({
+  $or: [{ status: "UPHELD" }, { status: "PENDING", disputeDeadline: { $lte: now } }]
+});
+
+export default mongoose.model("NoShowReport", noShowReportSchema);
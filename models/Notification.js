@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, required: true }, // e.g. "saved-search"
+  title: { type: String, required: true },
+  body: { type: String },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" },
+  readAt: { type: Date },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } }
+}, { timestamps: true });
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
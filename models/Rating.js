@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Rating left after a finished ride between its creator and a confirmed passenger
+const ratingSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  collegeId: { type: String, required: true },
+  raterId: { type: String, required: true },
+  rateeId: { type: String, required: true },
+  rateeRole: { type: String, enum: ["creator", "passenger"], required: true },
+  stars: { type: Number, required: true, min: 1, max: 5 },
+  review: { type: String, maxlength: 300 }
+}, { timestamps: true });
+
+// One rating per pair per ride
+ratingSchema.index({ rideId: 1, raterId: 1, rateeId: 1 }, { unique: true });
+ratingSchema.index({ rateeId: 1, createdAt: -1 });
+
+// Average stars and count per user, keyed by user ID. Users without
+// ratings are left out, so callers should default to { average: null, count: 0 }.
+ratingSchema.statics.summaries = async function (userIds) {
+  if (!userIds.length) return {};
+
+  const rows = await this.aggregate([
+    { $match: { rateeId: { $in: userIds } } },
+    { $group: { _id: "$rateeId", average: { $avg: "$stars" }, count: { $sum: 1 } } }
+  ]);
+
+  const summaries = {};
+  rows.forEach(row => {
+    summaries[row._id] = { average: Math.round(row.average * 10) / 10, count: row.count };
+  });
+  return summaries;
+};
+
+export const EMPTY_RATING = { average: null, count: 0 };
+
+export default mongoose.model("Rating", ratingSchema);
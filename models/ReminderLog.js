@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// One row per reminder sent. The ride time is part of the key, so moving a
+// ride makes its reminders due again for the new time.
+const reminderLogSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  userId: { type: String, required: true },
+  offsetMinutes: { type: Number, required: true },
+  rideDateTime: { type: Date, required: true },
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } }
+});
+
+reminderLogSchema.index({ rideId: 1, userId: 1, offsetMinutes: 1, rideDateTime: 1 }, { unique: true });
+
+export default mongoose.model("ReminderLog", reminderLogSchema);
@@ -1,47 +1,345 @@
 import mongoose from "mongoose";
 
+// Ride lifecycle: the moves each status allows. OPEN <-> FULL is driven by
+// seat accounting; every other status change goes through Ride.transition.
+// CLOSED is the single end state rides had before the lifecycle existed.
+export const RIDE_TRANSITIONS = {
+  OPEN: ["FULL", "IN_PROGRESS", "COMPLETED", "CANCELLED"],
+  FULL: ["OPEN", "IN_PROGRESS", "COMPLETED", "CANCELLED"],
+  IN_PROGRESS: ["COMPLETED"],
+  COMPLETED: [],
+  CANCELLED: [],
+  CLOSED: []
+};
+
+export const RIDE_STATUSES = Object.keys(RIDE_TRANSITIONS);
+// Rides people can still request, join or leave
+export const BOOKABLE_STATUSES = ["OPEN", "FULL"];
+// Rides that actually took place
+export const FINISHED_STATUSES = ["COMPLETED", "CLOSED"];
+// Rides that are over one way or another
+export const ENDED_STATUSES = ["COMPLETED", "CANCELLED", "CLOSED"];
+
+// A pending request lapses REQUEST_TTL after it is made or REQUEST_CUTOFF
+// before departure, whichever comes first
+const REQUEST_TTL_MS = Number(process.env.REQUEST_TTL_HOURS || 24) * 3600 * 1000;
+const REQUEST_CUTOFF_MS = Number(process.env.REQUEST_CUTOFF_MINUTES || 60) * 60 * 1000;
+
+// What a requesting, waitlisted or confirmed user asked for. Users without a
+// booking (rides created before bookings existed) count as one seat.
+const bookingSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  seats: { type: Number, min: 1, default: 1 },
+  note: { type: String, maxlength: 200 }, // pickup note for the driver
+  luggage: { type: Boolean, default: false },
+  pickup: { type: String }, // set when only part of a multi-stop route is wanted
+  dropoff: { type: String },
+  requestedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date } // when a pending request lapses without a decision
+}, { _id: false });
+
+const expiredRequestSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  seats: { type: Number, default: 1 },
+  requestedAt: { type: Date },
+  expiredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const waitlistEntrySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const changeSchema = new mongoose.Schema({
+  changedBy: { type: String, required: true },
+  changedAt: { type: Date, default: Date.now },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, { _id: false });
+
+// GeoJSON point, [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ["Point"], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const rideSchema = new mongoose.Schema({
   creatorId: { type: String, required: true },
   creatorCollegeId: { type: String, required: true },
   fromLocation: { type: String, required: true },
   toLocation: { type: String, required: true },
+  stops: [{ type: String }], // ordered intermediate stops between fromLocation and toLocation
+  // `locations` ids for the names above, so renames and typos don't split listings
+  fromLocationId: { type: String },
+  toLocationId: { type: String },
+  stopIds: [{ type: String }],
+  // Copied from the locations' coordinates; unset when a location has none
+  fromPoint: { type: pointSchema },
+  toPoint: { type: pointSchema },
   availableSeats: { type: Number, required: true, min: 0 },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: "Vehicle" }, // the creator's car, if they drive
   preferredGender: { type: String, enum: ["Any", "Male", "Female"], default: "Any" },
   luggageSpace: { type: Boolean, default: false },
   timeNegotiation: { type: Boolean, default: false },
   additionalNotes: { type: String, maxlength: 500 },
   dateTime: { type: Date, required: true },
   allowChat: { type: Boolean, default: true },
+  fare: {
+    total: { type: Number, min: 0 }, // whole cab fare, split per seat including the creator's
+    perSeat: { type: Number, min: 0 }, // or a fixed price per booked seat
+    currency: { type: String, default: "INR" }
+  },
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: "RideSeries", index: true },
   requests: [{ type: String }],
   confirmedUsers: [{ type: String }],
-  status: { type: String, enum: ["OPEN", "FULL", "CLOSED"], default: "OPEN" },
+  bookings: [bookingSchema], // one per requesting, waitlisted or confirmed user
+  expiredRequests: [expiredRequestSchema], // requests that lapsed without a decision
+  waitlist: [waitlistEntrySchema], // users queued for a FULL ride, ordered by joinedAt
+  history: [changeSchema], // edits made by the creator, visible to participants
+  status: { type: String, enum: RIDE_STATUSES, default: "OPEN" },
+  departedAt: { type: Date },
+  completedAt: { type: Date },
+  cancellation: {
+    reason: { type: String, maxlength: 300 },
+    cancelledBy: { type: String },
+    cancelledAt: { type: Date }
+  },
+  // MongoDB deletes the ride once this passes (30 days after dateTime). Anything
+  // that must outlive it, like fare balances, leave and completion history or
+  // analytics figures, is kept in its own collection keyed by rideId.
   expiresAt: { type: Date, index: { expireAfterSeconds: 0 } }
 }, { timestamps: true });
 
-// Auto-close expired rides after fetching - UPDATED: 6 hours after ride time
-rideSchema.post("find", async function (docs) {
-  const now = new Date();
-  const SIX_HOURS = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
-  
-  for (let doc of docs) {
-    const closeAfter = new Date(doc.dateTime.getTime() + SIX_HOURS);
-    if (now >= closeAfter && doc.status === "OPEN") {
-      doc.status = "CLOSED";
-      await doc.save();
-    }
-  }
+// Listing and search page through a college's bookable rides in (dateTime, _id)
+// order; the filter fields come next for equality matches
+rideSchema.index({ creatorCollegeId: 1, status: 1, dateTime: 1, _id: 1 });
+rideSchema.index({ creatorCollegeId: 1, status: 1, luggageSpace: 1, allowChat: 1, dateTime: 1 });
+rideSchema.index({ creatorCollegeId: 1, status: 1, availableSeats: 1, dateTime: 1 });
+// Search by location id
+rideSchema.index({ creatorCollegeId: 1, fromLocationId: 1, dateTime: 1 });
+rideSchema.index({ creatorCollegeId: 1, toLocationId: 1, dateTime: 1 });
+// Distance search from the pickup or to the drop-off
+rideSchema.index({ fromPoint: "2dsphere" });
+rideSchema.index({ toPoint: "2dsphere" });
+// "My rides" by role
+rideSchema.index({ creatorId: 1, dateTime: 1, _id: 1 });
+rideSchema.index({ confirmedUsers: 1, dateTime: 1, _id: 1 });
+rideSchema.index({ requests: 1, dateTime: 1, _id: 1 });
+
+// Aggregation expression for the seats a user's booking holds (1 without one)
+const bookedSeatsExpr = (userIdExpr) => ({
+  $ifNull: [
+    {
+      $arrayElemAt: [
+        {
+          $map: {
+            input: { $filter: { input: { $ifNull: ["$bookings", []] }, cond: { $eq: ["$$this.userId", userIdExpr] } } },
+            in: "$$this.seats"
+          }
+        },
+        0
+      ]
+    },
+    1
+  ]
+});
+
+// Seats held by everyone in confirmedUsers, as an aggregation expression
+rideSchema.statics.seatsTakenExpr = () => ({
+  $sum: { $map: { input: "$confirmedUsers", as: "passenger", in: bookedSeatsExpr("$$passenger") } }
 });
 
-rideSchema.post("findOne", async function (doc) {
-  if (!doc) return;
-  const now = new Date();
-  const SIX_HOURS = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
-  
-  const closeAfter = new Date(doc.dateTime.getTime() + SIX_HOURS);
-  if (now >= closeAfter && doc.status === "OPEN") {
-    doc.status = "CLOSED";
-    await doc.save();
+// Seats a user's booking holds on a loaded ride
+rideSchema.statics.bookedSeats = (ride, userId) =>
+  (ride.bookings || []).find(booking => booking.userId === userId)?.seats || 1;
+
+// Seats held by all confirmed passengers on a loaded ride
+rideSchema.statics.seatsTaken = function (ride) {
+  return ride.confirmedUsers.reduce((total, userId) => total + this.bookedSeats(ride, userId), 0);
+};
+
+// Atomic seat accounting. Each helper is a single conditional update so two
+// concurrent accepts can never both take the last seat; a null result means
+// the precondition no longer held when the write landed. `seats` is the size
+// of the user's booking, which never changes once the request is made.
+rideSchema.statics.confirmRequest = function (rideId, userId, seats = 1) {
+  return this.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: { $in: BOOKABLE_STATUSES },
+      requests: userId,
+      confirmedUsers: { $ne: userId },
+      availableSeats: { $gte: seats }
+    },
+    [
+      {
+        $set: {
+          requests: { $filter: { input: "$requests", cond: { $ne: ["$$this", userId] } } },
+          confirmedUsers: { $concatArrays: ["$confirmedUsers", [userId]] },
+          availableSeats: { $subtract: ["$availableSeats", seats] },
+          expiresAt: { $add: ["$dateTime", 30 * 24 * 3600 * 1000] }
+        }
+      },
+      { $set: { status: { $cond: [{ $lte: ["$availableSeats", 0] }, "FULL", "$status"] } } }
+    ],
+    { new: true }
+  );
+};
+
+rideSchema.statics.releaseSeat = function (rideId, userId) {
+  return this.findOneAndUpdate(
+    { _id: rideId, confirmedUsers: userId, status: { $in: BOOKABLE_STATUSES } },
+    [
+      {
+        $set: {
+          confirmedUsers: { $filter: { input: "$confirmedUsers", cond: { $ne: ["$$this", userId] } } },
+          bookings: { $filter: { input: { $ifNull: ["$bookings", []] }, cond: { $ne: ["$$this.userId", userId] } } },
+          availableSeats: { $add: ["$availableSeats", bookedSeatsExpr(userId)] }
+        }
+      },
+      { $set: { status: { $cond: [{ $eq: ["$status", "FULL"] }, "OPEN", "$status"] } } }
+    ],
+    { new: true }
+  );
+};
+
+rideSchema.statics.withdrawRequest = function (rideId, userId) {
+  return this.findOneAndUpdate(
+    { _id: rideId, $or: [{ requests: userId }, { "waitlist.userId": userId }] },
+    { $pull: { requests: userId, waitlist: { userId }, bookings: { userId } } },
+    { new: true }
+  );
+};
+
+rideSchema.statics.addSeats = function (rideId, seats) {
+  return this.findOneAndUpdate(
+    { _id: rideId, status: { $in: BOOKABLE_STATUSES } },
+    [
+      { $set: { availableSeats: { $add: ["$availableSeats", seats] } } },
+      { $set: { status: { $cond: [{ $eq: ["$status", "FULL"] }, "OPEN", "$status"] } } }
+    ],
+    { new: true }
+  );
+};
+
+// Hand free seats to the head of the waitlist, one conditional update per
+// booking so a concurrent accept or promotion can't take the same seat twice.
+// Promotion is strictly in order: a group that doesn't fit yet blocks those
+// behind it. Resolves to the promoted user IDs in waitlist order.
+rideSchema.statics.promoteWaitlist = async function (rideId) {
+  const promoted = [];
+
+  for (;;) {
+    const ride = await this.findOne(
+      { _id: rideId, status: { $in: BOOKABLE_STATUSES }, availableSeats: { $gte: 1 }, "waitlist.0": { $exists: true } },
+      { waitlist: 1, bookings: 1, availableSeats: 1 }
+    ).lean();
+    if (!ride) break;
+
+    const [next] = [...ride.waitlist].sort((a, b) => a.joinedAt - b.joinedAt);
+    const seats = this.bookedSeats(ride, next.userId);
+    if (seats > ride.availableSeats) break;
+
+    const updated = await this.findOneAndUpdate(
+      { _id: rideId, status: { $in: BOOKABLE_STATUSES }, availableSeats: { $gte: seats }, "waitlist.userId": next.userId },
+      [
+        {
+          $set: {
+            waitlist: { $filter: { input: "$waitlist", cond: { $ne: ["$$this.userId", next.userId] } } },
+            confirmedUsers: { $concatArrays: ["$confirmedUsers", [next.userId]] },
+            availableSeats: { $subtract: ["$availableSeats", seats] },
+            expiresAt: { $add: ["$dateTime", 30 * 24 * 3600 * 1000] }
+          }
+        },
+        { $set: { status: { $cond: [{ $lte: ["$availableSeats", 0] }, "FULL", "$status"] } } }
+      ],
+      { new: true }
+    );
+    if (updated) promoted.push(next.userId);
+  }
+
+  return promoted;
+};
+
+// 1-based waitlist position of a user, or null when not waitlisted
+rideSchema.statics.waitlistPosition = (ride, userId) => {
+  const ordered = [...(ride.waitlist || [])].sort((a, b) => a.joinedAt - b.joinedAt);
+  const index = ordered.findIndex(entry => entry.userId === userId);
+  return index === -1 ? null : index + 1;
+};
+
+// When a request made at `requestedAt` lapses
+rideSchema.statics.requestExpiry = (ride, requestedAt = new Date()) => new Date(Math.min(
+  new Date(requestedAt).getTime() + REQUEST_TTL_MS,
+  new Date(ride.dateTime).getTime() - REQUEST_CUTOFF_MS
+));
+
+// Aggregation expression for the ride's bookings with every pending
+// request's expiresAt recomputed like requestExpiry, for updates that move
+// the departure time. Run it in a stage after the new dateTime is set.
+rideSchema.statics.requestExpiriesExpr = () => ({
+  $map: {
+    input: { $ifNull: ["$bookings", []] },
+    as: "booking",
+    in: {
+      $cond: [
+        { $in: ["$$booking.userId", { $ifNull: ["$requests", []] }] },
+        {
+          $mergeObjects: ["$$booking", {
+            expiresAt: {
+              $min: [
+                { $add: [{ $ifNull: ["$$booking.requestedAt", "$$NOW"] }, REQUEST_TTL_MS] },
+                { $subtract: ["$dateTime", REQUEST_CUTOFF_MS] }
+              ]
+            }
+          }]
+        },
+        "$$booking"
+      ]
+    }
   }
 });
 
+// Move a still-pending request to expiredRequests. Resolves to null when the
+// request was decided or withdrawn in the meantime.
+rideSchema.statics.expireRequest = function (rideId, booking) {
+  return this.findOneAndUpdate(
+    { _id: rideId, requests: booking.userId },
+    {
+      $pull: { requests: booking.userId, bookings: { userId: booking.userId } },
+      $push: {
+        expiredRequests: {
+          userId: booking.userId,
+          seats: booking.seats || 1,
+          requestedAt: booking.requestedAt,
+          expiredAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+rideSchema.statics.canTransition = (from, to) => (RIDE_TRANSITIONS[from] || []).includes(to);
+
+// The statuses a ride may move to `to` from
+const sourcesOf = (to) => RIDE_STATUSES.filter(status => RIDE_TRANSITIONS[status].includes(to));
+
+// Move a ride to `to` if its current status allows it, setting `fields`
+// alongside. Resolves to null when the ride is missing or the move isn't allowed.
+rideSchema.statics.transition = function (rideId, to, fields = {}) {
+  return this.findOneAndUpdate(
+    { _id: rideId, status: { $in: sourcesOf(to) } },
+    { $set: { ...fields, status: to } },
+    { new: true }
+  );
+};
+
+// Full ordered route of a ride: origin, intermediate stops, destination
+rideSchema.statics.routeOf = (ride) => [ride.fromLocation, ...(ride.stops || []), ride.toLocation];
+
 export default mongoose.model("Ride", rideSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// One record per participant of a completed ride, counted by reliability scores
+const rideCompletionSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  userId: { type: String, required: true },
+  collegeId: { type: String, required: true },
+  role: { type: String, enum: ["creator", "passenger"], required: true },
+  rideDateTime: { type: Date, required: true }
+}, { timestamps: true });
+
+rideCompletionSchema.index({ rideId: 1, userId: 1 }, { unique: true });
+rideCompletionSchema.index({ userId: 1 });
+
+// Record the creator and every confirmed passenger of a finished ride.
+// Safe to call more than once for the same ride.
+rideCompletionSchema.statics.recordForRide = function (ride) {
+  const participants = [
+    { userId: ride.creatorId, role: "creator" },
+    ...ride.confirmedUsers.map(userId => ({ userId, role: "passenger" }))
+  ];
+
+  return this.bulkWrite(participants.map(({ userId, role }) => ({
+    updateOne: {
+      filter: { rideId: ride._id, userId },
+      update: {
+        $setOnInsert: { collegeId: ride.creatorCollegeId, role, rideDateTime: ride.dateTime }
+      },
+      upsert: true
+    }
+  })));
+};
+
+export default mongoose.model("RideCompletion", rideCompletionSchema);
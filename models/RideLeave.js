@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// One record per confirmed passenger leaving a ride, with how close to
+// departure they left
+const rideLeaveSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true },
+  userId: { type: String, required: true },
+  creatorId: { type: String, required: true },
+  collegeId: { type: String, required: true },
+  reason: { type: String, maxlength: 300 },
+  rideDateTime: { type: Date, required: true },
+  leftAt: { type: Date, default: Date.now },
+  minutesBeforeDeparture: { type: Number, required: true },
+  isLate: { type: Boolean, default: false }
+}, { timestamps: true });
+
+rideLeaveSchema.index({ userId: 1, isLate: 1 });
+rideLeaveSchema.index({ collegeId: 1, leftAt: -1 });
+
+export default mongoose.model("RideLeave", rideLeaveSchema);
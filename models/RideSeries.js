@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+const rideSeriesSchema = new mongoose.Schema({
+  creatorId: { type: String, required: true },
+  creatorCollegeId: { type: String, required: true },
+  frequency: { type: String, enum: ["daily", "weekdays", "weekly", "custom"], required: true },
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, used by "custom"
+  utcOffset: { type: Number, default: 0 }, // creator's offset in minutes, so weekdays follow local time
+  startDate: { type: Date, required: true },
+  until: { type: Date, required: true },
+  status: { type: String, enum: ["ACTIVE", "CANCELLED"], default: "ACTIVE" }
+}, { timestamps: true });
+
+rideSeriesSchema.index({ creatorId: 1, status: 1 });
+
+export default mongoose.model("RideSeries", rideSeriesSchema);
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import Ride from "./Ride.js";
+
+// Final figures of one ride that ended (completed or cancelled), for the
+// college analytics reports
+const rideStatSchema = new mongoose.Schema({
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride", required: true, unique: true },
+  creatorCollegeId: { type: String, required: true },
+  creatorId: { type: String, required: true },
+  fromLocation: { type: String, required: true },
+  toLocation: { type: String, required: true },
+  dateTime: { type: Date, required: true },
+  status: { type: String, required: true },
+  seatsOffered: { type: Number, required: true }, // free seats plus the seats passengers hold
+  seatsFilled: { type: Number, required: true },
+  passengers: { type: Number, required: true }
+}, { timestamps: true });
+
+rideStatSchema.index({ creatorCollegeId: 1, dateTime: 1 });
+
+// The fields every report reads, as a $project stage over rides or stats
+export const RIDE_FACT_FIELDS = {
+  _id: 0,
+  rideId: 1,
+  creatorCollegeId: 1,
+  creatorId: 1,
+  fromLocation: 1,
+  toLocation: 1,
+  dateTime: 1,
+  status: 1,
+  seatsOffered: 1,
+  seatsFilled: 1,
+  passengers: 1
+};
+
+// Record or refresh a ride's figures once it has ended
+rideStatSchema.statics.recordForRide = function (ride) {
+  const seatsFilled = Ride.seatsTaken(ride);
+  return this.updateOne(
+    { rideId: ride._id },
+    {
+      $set: {
+        creatorCollegeId: ride.creatorCollegeId,
+        creatorId: ride.creatorId,
+        fromLocation: ride.fromLocation,
+        toLocation: ride.toLocation,
+        dateTime: ride.dateTime,
+        status: ride.status,
+        seatsOffered: Math.max(ride.availableSeats, 0) + seatsFilled,
+        seatsFilled,
+        passengers: ride.confirmedUsers.length
+      }
+    },
+    { upsert: true }
+  );
+};
+
+export default mongoose.model("RideStat", rideStatSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  collegeId: { type: String, required: true },
+  name: { type: String, maxlength: 80 },
+  from: { type: String },
+  to: { type: String },
+  date: { type: String }, // YYYY-MM-DD, or use daysOfWeek for a weekly window
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  timeFrom: { type: String }, // HH:MM in the user's local time
+  timeTo: { type: String },
+  utcOffset: { type: Number, default: 0 }, // minutes east of UTC
+  preferredGender: { type: String, enum: ["Any", "Male", "Female"], default: "Any" },
+  notifyInApp: { type: Boolean, default: true },
+  notifyEmail: { type: Boolean, default: false },
+  paused: { type: Boolean, default: false },
+  lastAlertAt: { type: Date }
+}, { timestamps: true });
+
+savedSearchSchema.index({ collegeId: 1, paused: 1 });
+savedSearchSchema.index({ userId: 1 });
+
+export default mongoose.model("SavedSearch", savedSearchSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// A car a student drives for their own rides. Only the owner, the ride's
+// creator and its confirmed passengers ever see these details.
+const vehicleSchema = new mongoose.Schema({
+  ownerId: { type: String, required: true },
+  collegeId: { type: String, required: true },
+  make: { type: String, required: true, maxlength: 40 },
+  model: { type: String, required: true, maxlength: 40 },
+  colour: { type: String, required: true, maxlength: 30 },
+  plate: { type: String, required: true, maxlength: 15 },
+  capacity: { type: Number, required: true, min: 1, max: 10 } // passenger seats, not counting the driver
+}, { timestamps: true });
+
+vehicleSchema.index({ ownerId: 1, plate: 1 }, { unique: true });
+
+// The caller's own vehicle, or null
+vehicleSchema.statics.findOwned = function (vehicleId, userId) {
+  if (!mongoose.isValidObjectId(vehicleId)) return Promise.resolve(null);
+  return this.findOne({ _id: vehicleId, ownerId: userId });
+};
+
+// Error message when a ride offering `seats` passenger seats doesn't fit the vehicle
+vehicleSchema.statics.capacityError = (vehicle, seats) =>
+  seats > vehicle.capacity
+    ? `Your ${vehicle.make} ${vehicle.model} only has ${vehicle.capacity} passenger seat(s)`
+    : null;
+
+export default mongoose.model("Vehicle", vehicleSchema);
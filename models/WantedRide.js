@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+export const WANTED_STATUSES = ["OPEN", "FULFILLED", "CANCELLED"];
+
+// A passenger's "ride wanted" post: they need a ride along a route some time
+// between `earliest` and `latest`, and a driver can turn it into a Ride
+const wantedRideSchema = new mongoose.Schema({
+  posterId: { type: String, required: true },
+  collegeId: { type: String, required: true },
+  fromLocation: { type: String, required: true },
+  toLocation: { type: String, required: true },
+  fromLocationId: { type: String },
+  toLocationId: { type: String },
+  earliest: { type: Date, required: true },
+  latest: { type: Date, required: true },
+  seats: { type: Number, min: 1, max: 10, default: 1 },
+  preferredGender: { type: String, enum: ["Any", "Male", "Female"], default: "Any" },
+  luggage: { type: Boolean, default: false },
+  note: { type: String, maxlength: 300 },
+  status: { type: String, enum: WANTED_STATUSES, default: "OPEN" },
+  rideId: { type: mongoose.Schema.Types.ObjectId, ref: "Ride" }, // the Ride it became
+  fulfilledBy: { type: String }, // driver who created that Ride
+  fulfilledAt: { type: Date },
+  cancelledAt: { type: Date },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } }
+}, { timestamps: true });
+
+wantedRideSchema.index({ collegeId: 1, status: 1, earliest: 1, _id: 1 });
+wantedRideSchema.index({ posterId: 1, status: 1 });
+
+export default mongoose.model("WantedRide", wantedRideSchema);
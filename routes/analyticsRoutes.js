@@ -0,0 +1,18 @@
+import express from "express";
+import { protect, requireAdmin } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  getFillRate, getTimeDistribution, getUnmatched, getBusiestPairs, getTrends,
+  analyticsRangeSchema
+} from "../controllers/analyticsController.js";
+
+const router = express.Router();
+
+// College administrators only; every report is limited to their own college
+router.get("/fill-rate", protect, requireAdmin, validate(analyticsRangeSchema), getFillRate);
+router.get("/time-distribution", protect, requireAdmin, validate(analyticsRangeSchema), getTimeDistribution);
+router.get("/unmatched", protect, requireAdmin, validate(analyticsRangeSchema), getUnmatched);
+router.get("/busiest-pairs", protect, requireAdmin, validate(analyticsRangeSchema), getBusiestPairs);
+router.get("/trends", protect, requireAdmin, validate(analyticsRangeSchema), getTrends);
+
+export default router;
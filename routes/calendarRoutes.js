@@ -0,0 +1,14 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  getFeedLink, resetFeedLink, getFeed, getRideCalendar
+} from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+router.get("/link", protect, getFeedLink);
+router.post("/link/reset", protect, resetFeedLink);
+router.get("/feed/:token.ics", getFeed);
+router.get("/rides/:rideId.ics", protect, getRideCalendar);
+
+export default router;
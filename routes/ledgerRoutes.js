@@ -0,0 +1,14 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listLedger, getBalance, markShare, listLedgerSchema, markShareSchema
+} from "../controllers/ledgerController.js";
+
+const router = express.Router();
+
+router.get("/", protect, validate(listLedgerSchema), listLedger);
+router.get("/balance", protect, getBalance);
+router.post("/:shareId/mark", protect, validate(markShareSchema), markShare);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { getSuggestions } from "../controllers/matchController.js";
+
+const router = express.Router();
+
+router.get("/suggestions", protect, getSuggestions);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import { protect, requireAdmin } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  reportNoShow, disputeNoShow, listNoShows, listDisputedNoShows, resolveNoShow,
+  reportNoShowSchema, disputeNoShowSchema, resolveNoShowSchema
+} from "../controllers/noShowController.js";
+
+const router = express.Router();
+
+router.get("/", protect, listNoShows);
+router.post("/", protect, validate(reportNoShowSchema), reportNoShow);
+router.post("/:reportId/dispute", protect, validate(disputeNoShowSchema), disputeNoShow);
+// College administrators settle disputed reports
+router.get("/disputed", protect, requireAdmin, listDisputedNoShows);
+router.post("/:reportId/resolve", protect, requireAdmin, validate(resolveNoShowSchema), resolveNoShow);
+
+export default router;
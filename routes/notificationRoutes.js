@@ -0,0 +1,13 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listNotifications, markNotificationsRead, listNotificationsSchema, markReadSchema
+} from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+router.get("/", protect, validate(listNotificationsSchema), listNotifications);
+router.post("/read", protect, validate(markReadSchema), markNotificationsRead);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  rateUser, getUserRatings, rateUserSchema, listUserRatingsSchema
+} from "../controllers/ratingController.js";
+
+const router = express.Router();
+
+router.post("/", protect, validate(rateUserSchema), rateUser);
+router.get("/user/:userId", protect, validate(listUserRatingsSchema), getUserRatings);
+
+export default router;
@@ -2,31 +2,40 @@ import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
 import { validate } from "../middleware/validate.js";
 import {
-  createRide, listRides, searchRides, getPopularDestinations, getRecentRides,
-  getUserRides, getRideDetails, requestRide, cancelRequest, decideRequest, 
-  updateRideTime, closeRide, createRideSchema, searchRidesSchema, getUserRidesSchema,
-  getRideDetailsSchema, requestRideSchema, cancelRequestSchema, 
-  decideRequestSchema, updateTimeSchema, closeRideSchema
+  createRide, listRides, searchRides, searchNearbyRides, getPopularDestinations, getRecentRides,
+  getUserRides, exportUserRides, getRideDetails, requestRide, cancelRequest, leaveRide, decideRequest, 
+  updateRideTime, editRide, addSeats, startRide, completeRide, cancelRide, closeRide, createRideSchema, searchRidesSchema, getUserRidesSchema,
+  listRidesSchema, getRecentRidesSchema, nearbyRidesSchema, exportUserRidesSchema, getRideDetailsSchema, requestRideSchema, cancelRequestSchema, leaveRideSchema,
+  decideRequestSchema, updateTimeSchema, editRideSchema, addSeatsSchema, closeRideSchema,
+  startRideSchema, completeRideSchema, cancelRideSchema
 } from "../controllers/rideController.js";
 
 const router = express.Router();
 
 // Public routes (require authentication but no additional validation)
-router.get("/", protect, listRides);
+router.get("/", protect, validate(listRidesSchema), listRides);
 router.get("/search", protect, validate(searchRidesSchema), searchRides);
+router.get("/nearby", protect, validate(nearbyRidesSchema), searchNearbyRides);
 router.get("/popular-destinations", protect, getPopularDestinations);
-router.get("/recent", protect, getRecentRides);
+router.get("/recent", protect, validate(getRecentRidesSchema), getRecentRides);
 
 // User-specific rides
 router.get("/my-rides", protect, validate(getUserRidesSchema), getUserRides);
+router.get("/my-rides/export", protect, validate(exportUserRidesSchema), exportUserRides);
 router.get("/:rideId", protect, getRideDetails);
 
 // Ride management
 router.post("/", protect, validate(createRideSchema), createRide);
 router.post("/request", protect, validate(requestRideSchema), requestRide);
 router.post("/cancel-request", protect, validate(cancelRequestSchema), cancelRequest);
+router.post("/leave", protect, validate(leaveRideSchema), leaveRide);
 router.post("/decide", protect, validate(decideRequestSchema), decideRequest);
 router.post("/update-time", protect, validate(updateTimeSchema), updateRideTime);
+router.post("/edit", protect, validate(editRideSchema), editRide);
+router.post("/add-seats", protect, validate(addSeatsSchema), addSeats);
+router.post("/start", protect, validate(startRideSchema), startRide);
+router.post("/complete", protect, validate(completeRideSchema), completeRide);
+router.post("/cancel", protect, validate(cancelRideSchema), cancelRide);
 router.post("/close", protect, validate(closeRideSchema), closeRide);
 
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listSavedSearches, createSavedSearch, pauseSavedSearch, deleteSavedSearch,
+  createSavedSearchSchema, pauseSavedSearchSchema
+} from "../controllers/savedSearchController.js";
+
+const router = express.Router();
+
+router.get("/", protect, listSavedSearches);
+router.post("/", protect, validate(createSavedSearchSchema), createSavedSearch);
+router.put("/:searchId/pause", protect, validate(pauseSavedSearchSchema), pauseSavedSearch);
+router.delete("/:searchId", protect, deleteSavedSearch);
+
+export default router;
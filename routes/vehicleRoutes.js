@@ -0,0 +1,16 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  listVehicles, createVehicle, updateVehicle, deleteVehicle,
+  createVehicleSchema, updateVehicleSchema
+} from "../controllers/vehicleController.js";
+
+const router = express.Router();
+
+router.get("/", protect, listVehicles);
+router.post("/", protect, validate(createVehicleSchema), createVehicle);
+router.put("/:vehicleId", protect, validate(updateVehicleSchema), updateVehicle);
+router.delete("/:vehicleId", protect, deleteVehicle);
+
+export default router;
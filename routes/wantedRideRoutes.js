@@ -0,0 +1,18 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import {
+  createWantedRide, listWantedRides, searchWantedRides, getMyWantedRides, cancelWantedRide, convertWantedRide,
+  createWantedRideSchema, listWantedRidesSchema, searchWantedRidesSchema, convertWantedRideSchema
+} from "../controllers/wantedRideController.js";
+
+const router = express.Router();
+
+router.get("/", protect, validate(listWantedRidesSchema), listWantedRides);
+router.get("/search", protect, validate(searchWantedRidesSchema), searchWantedRides);
+router.get("/mine", protect, getMyWantedRides);
+router.post("/", protect, validate(createWantedRideSchema), createWantedRide);
+router.post("/:wantedId/cancel", protect, cancelWantedRide);
+router.post("/:wantedId/convert", protect, validate(convertWantedRideSchema), convertWantedRide);
+
+export default router;
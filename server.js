@@ -13,6 +13,17 @@ import Ride from "./models/Ride.js";
 import { verifyToken } from "./utils/jwt.js";
 import path from "path";
 import locationRoutes from './routes/locationRoutes.js';
+import { startScheduler, stopScheduler } from "./jobs/scheduler.js";
+import savedSearchRoutes from "./routes/savedSearchRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import ledgerRoutes from "./routes/ledgerRoutes.js";
+import ratingRoutes from "./routes/ratingRoutes.js";
+import noShowRoutes from "./routes/noShowRoutes.js";
+import wantedRideRoutes from "./routes/wantedRideRoutes.js";
+import matchRoutes from "./routes/matchRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import analyticsRoutes from "./routes/analyticsRoutes.js";
+import vehicleRoutes from "./routes/vehicleRoutes.js";
 
 // Load environment variables first
 dotenv.config();
@@ -36,6 +47,9 @@ const io = new Server(httpServer, {
   }
 });
 
+// Expose Socket.IO to controllers through req.app.get("io")
+app.set("io", io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: process.env.NODE_ENV === 'production' ? true : false,
@@ -76,6 +90,16 @@ app.use("/api/auth", authRoutes);
 app.use("/api/rides", rideRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/locations", locationRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/ratings", ratingRoutes);
+app.use("/api/no-shows", noShowRoutes);
+app.use("/api/wanted-rides", wantedRideRoutes);
+app.use("/api/matches", matchRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/vehicles", vehicleRoutes);
 
 // Socket.IO authentication middleware
 io.use(async (socket, next) => {
@@ -116,6 +140,9 @@ io.use(async (socket, next) => {
 io.on("connection", (socket) => {
   console.log(`User ${socket.user.id} connected`);
 
+  // Personal room for notifications addressed to this user
+  socket.join(`user:${socket.user.id}`);
+
   // Join ride chat room
   socket.on("chat:join", async ({ rideId }) => {
     try {
@@ -208,11 +235,13 @@ httpServer.listen(port, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${port}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   // console.log(`CORS Origins: ${allowedOrigins.join(', ')}`);
+  startScheduler();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopScheduler();
   httpServer.close(() => {
     console.log('Process terminated');
   });
@@ -220,6 +249,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopScheduler();
   httpServer.close(() => {
     console.log('Process terminated');
   });
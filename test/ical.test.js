@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rideEvent, buildCalendar } from "../utils/ical.js";
+
+const ride = (fields = {}) => ({
+  _id: "6710f0c2a1b2c3d4e5f60718",
+  fromLocation: "Main Gate",
+  toLocation: "Central Station",
+  stops: [],
+  dateTime: new Date("2026-10-20T08:30:00Z"),
+  updatedAt: new Date("2026-10-19T12:00:00Z"),
+  status: "OPEN",
+  history: [],
+  ...fields
+});
+
+const line = (event, name) => event.find(entry => entry.startsWith(`${name}:`));
+
+test("the UID is stable and SEQUENCE counts recorded changes", () => {
+  const event = rideEvent(ride({ history: [{}, {}] }));
+
+  assert.equal(line(event, "UID"), "UID:ride-6710f0c2a1b2c3d4e5f60718@gotogether");
+  assert.equal(line(event, "SEQUENCE"), "SEQUENCE:2");
+  assert.equal(line(event, "STATUS"), "STATUS:CONFIRMED");
+  assert.equal(line(event, "DTSTART"), "DTSTART:20261020T083000Z");
+  assert.equal(line(event, "DTEND"), "DTEND:20261020T093000Z");
+});
+
+test("a cancelled ride bumps SEQUENCE once more and is sent as cancelled", () => {
+  const event = rideEvent(ride({ status: "CANCELLED", history: [{}], cancellation: { reason: "Car broke down" } }));
+
+  assert.equal(line(event, "SEQUENCE"), "SEQUENCE:2");
+  assert.equal(line(event, "STATUS"), "STATUS:CANCELLED");
+  assert.match(line(event, "SUMMARY"), /^SUMMARY:Cancelled: Ride/);
+  assert.match(line(event, "DESCRIPTION"), /Cancelled: Car broke down/);
+});
+
+test("text values escape backslashes, semicolons, commas and newlines", () => {
+  const event = rideEvent(ride({ fromLocation: "Gate 2, North\; Block\\A", additionalNotes: "Bring cash\nNo pets" }));
+
+  assert.equal(line(event, "LOCATION"), "LOCATION:Gate 2\\, North\\; Block\\\\A");
+  assert.match(line(event, "DESCRIPTION"), /Notes: Bring cash\\nNo pets/);
+});
+
+test("calendars use CRLF and fold lines longer than 75 octets", () => {
+  const calendar = buildCalendar([rideEvent(ride({ additionalNotes: "x".repeat(200) }))], "My rides");
+  const lines = calendar.split("\r\n");
+
+  assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(lines.includes("X-WR-CALNAME:My rides"));
+  assert.ok(lines.every(entry => Buffer.byteLength(entry) <= 75));
+  assert.ok(lines.some(entry => entry.startsWith(" ")));
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reliabilityScore } from "../utils/reliability.js";
+
+test("a new user starts at 100", () => {
+  assert.equal(reliabilityScore({ completedRides: 0, lateLeaves: 0, noShows: 0 }).score, 100);
+});
+
+test("one slip doesn't sink a new user", () => {
+  assert.equal(reliabilityScore({ completedRides: 0, lateLeaves: 1, noShows: 0 }).score, 50);
+});
+
+test("no-shows count twice as much as late leaves", () => {
+  const late = reliabilityScore({ completedRides: 9, lateLeaves: 2, noShows: 0 });
+  const noShow = reliabilityScore({ completedRides: 9, lateLeaves: 0, noShows: 1 });
+
+  assert.equal(late.score, 83);
+  assert.equal(noShow.score, late.score);
+});
+
+test("completed rides lift the score back up and the counts are returned", () => {
+  assert.deepEqual(reliabilityScore({ completedRides: 19, lateLeaves: 0, noShows: 1 }), {
+    score: 91,
+    completedRides: 19,
+    lateLeaves: 0,
+    noShows: 1
+  });
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  encodeCursor, decodeCursor, encodeRankCursor, decodeRankCursor, pageOf, offsetString, rideFilterConditions
+} from "../utils/rideQuery.js";
+
+const ride = (iso) => ({ _id: new mongoose.Types.ObjectId(), dateTime: new Date(iso) });
+
+test("a cursor decodes back to the ride's dateTime and id", () => {
+  const last = ride("2026-10-20T08:30:00Z");
+  const decoded = decodeCursor(encodeCursor(last));
+
+  assert.equal(decoded.at.toISOString(), "2026-10-20T08:30:00.000Z");
+  assert.ok(decoded.id.equals(last._id));
+});
+
+test("a cursor can page on another date field", () => {
+  const post = { _id: new mongoose.Types.ObjectId(), earliest: new Date("2026-10-21T06:00:00Z") };
+  assert.equal(decodeCursor(encodeCursor(post, "earliest")).at.toISOString(), "2026-10-21T06:00:00.000Z");
+});
+
+test("malformed cursors decode to null", () => {
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(Buffer.from(JSON.stringify(["yesterday", "abc"])).toString("base64url")), null);
+  assert.equal(decodeRankCursor(Buffer.from(JSON.stringify(["0.5", "abc"])).toString("base64url")), null);
+});
+
+test("a rank cursor keeps the score and id", () => {
+  const ranked = { ...ride("2026-10-20T08:30:00Z"), score: 0.8125 };
+  const decoded = decodeRankCursor(encodeRankCursor(ranked));
+
+  assert.equal(decoded.score, 0.8125);
+  assert.ok(decoded.id.equals(ranked._id));
+});
+
+test("pageOf cuts the extra ride and points the cursor at the last one kept", () => {
+  const rides = [ride("2026-10-20T08:00:00Z"), ride("2026-10-20T09:00:00Z"), ride("2026-10-20T10:00:00Z")];
+
+  const page = pageOf(rides, 2);
+  assert.equal(page.rides.length, 2);
+  assert.ok(decodeCursor(page.nextCursor).id.equals(rides[1]._id));
+  assert.equal(pageOf(rides, 3).nextCursor, null);
+});
+
+test("offsetString formats minutes east of UTC", () => {
+  assert.equal(offsetString(330), "+05:30");
+  assert.equal(offsetString(-240), "-04:00");
+  assert.equal(offsetString(0), "+00:00");
+});
+
+test("rideFilterConditions maps each filter to a condition", () => {
+  assert.deepEqual(rideFilterConditions({ minSeats: 2, luggage: true, allowChat: false }), [
+    { availableSeats: { $gte: 2 } },
+    { luggageSpace: true },
+    { allowChat: false }
+  ]);
+  assert.deepEqual(rideFilterConditions({}), []);
+});
+
+test("a time window within one day requires both bounds", () => {
+  const [condition] = rideFilterConditions({ timeFrom: "08:00", timeTo: "10:30", utcOffset: 330 });
+  const { $and } = condition.$expr;
+
+  assert.equal($and[0].$gte[1], 480);
+  assert.equal($and[1].$lte[1], 630);
+  assert.equal($and[0].$gte[0].$add[0].$multiply[0].$hour.timezone, "+05:30");
+});
+
+test("a time window past midnight accepts either side of it", () => {
+  const [condition] = rideFilterConditions({ timeFrom: "22:00", timeTo: "02:00" });
+  const { $or } = condition.$expr;
+
+  assert.ok($or);
+  assert.equal($or[0].$gte[1], 22 * 60);
+  assert.equal($or[1].$lte[1], 2 * 60);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SUPABASE_URL ||= "http://127.0.0.1:9";
+process.env.SUPABASE_ANON_KEY ||= "test";
+const { rideMatchesSearch } = await import("../utils/savedSearchAlerts.js");
+
+const ride = (fields = {}) => ({
+  fromLocation: "Main Gate",
+  toLocation: "Central Station",
+  stops: ["Library"],
+  preferredGender: "Any",
+  dateTime: new Date("2026-10-20T08:30:00Z"),
+  ...fields
+});
+
+const search = (fields = {}) => ({ from: "main", to: "station", preferredGender: "Any", utcOffset: 0, ...fields });
+
+test("matches from and to in order along the route, stops included", () => {
+  assert.equal(rideMatchesSearch(ride(), search()), true);
+  assert.equal(rideMatchesSearch(ride(), search({ from: "library" })), true);
+  assert.equal(rideMatchesSearch(ride(), search({ from: "station", to: "main" })), false);
+});
+
+test("a ride reserved for another gender never alerts, even on an Any search", () => {
+  const femaleOnly = ride({ preferredGender: "Female" });
+
+  assert.equal(rideMatchesSearch(femaleOnly, search(), "Male"), false);
+  assert.equal(rideMatchesSearch(femaleOnly, search(), null), false);
+  assert.equal(rideMatchesSearch(femaleOnly, search(), "female"), true);
+  assert.equal(rideMatchesSearch(ride(), search(), "Male"), true);
+});
+
+test("a search's own gender preference still filters rides", () => {
+  assert.equal(rideMatchesSearch(ride({ preferredGender: "Female" }), search({ preferredGender: "Male" }), "Female"), false);
+  assert.equal(rideMatchesSearch(ride(), search({ preferredGender: "Male" }), "Male"), true);
+});
+
+test("date and weekday are read in the searcher's local time", () => {
+  const late = ride({ dateTime: new Date("2026-10-20T22:30:00Z") });
+
+  assert.equal(rideMatchesSearch(late, search({ date: "2026-10-20" })), true);
+  assert.equal(rideMatchesSearch(late, search({ date: "2026-10-21", utcOffset: 120 })), true);
+  // 2026-10-20 is a Tuesday
+  assert.equal(rideMatchesSearch(late, search({ daysOfWeek: [2] })), true);
+  assert.equal(rideMatchesSearch(late, search({ daysOfWeek: [2], utcOffset: 120 })), false);
+});
+
+test("a time window may wrap past midnight", () => {
+  const at = (iso) => ride({ dateTime: new Date(iso) });
+  const overnight = search({ timeFrom: "22:00", timeTo: "02:00" });
+
+  assert.equal(rideMatchesSearch(at("2026-10-20T23:15:00Z"), overnight), true);
+  assert.equal(rideMatchesSearch(at("2026-10-20T01:00:00Z"), overnight), true);
+  assert.equal(rideMatchesSearch(at("2026-10-20T12:00:00Z"), overnight), false);
+});
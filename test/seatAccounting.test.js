@@ -0,0 +1,151 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+// Concurrency checks for the atomic seat updates. Runs against MONGO_TEST_URI
+// when set (a local mongod), otherwise an in-memory server. When neither is
+// available, e.g. offline where the in-memory server can't download mongod,
+// the tests are skipped.
+process.env.SUPABASE_URL ||= "http://127.0.0.1:9";
+process.env.SUPABASE_ANON_KEY ||= "test";
+
+let server;
+let uri = process.env.MONGO_TEST_URI;
+if (!uri) {
+  try {
+    server = await MongoMemoryServer.create();
+    uri = server.getUri();
+  } catch (error) {
+    console.warn(`Skipping seat accounting tests, no MongoDB available (${error.message.split("\n")[0]}). Set MONGO_TEST_URI to run them against a local mongod.`);
+  }
+}
+const skip = !uri && "no MongoDB available; set MONGO_TEST_URI";
+
+let Ride;
+let decideRequest;
+
+before(async () => {
+  if (skip) return;
+  await mongoose.connect(uri, { dbName: "gotogether-test" });
+  ({ default: Ride } = await import("../models/Ride.js"));
+  ({ decideRequest } = await import("../controllers/rideController.js"));
+});
+
+after(async () => {
+  if (skip) return;
+  if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (server) await server.stop();
+});
+
+beforeEach(() => !skip && Ride.deleteMany({}));
+
+const createRide = (seats, requesters, extra = {}) => Ride.create({
+  creatorId: "driver",
+  creatorCollegeId: "college",
+  fromLocation: "Main Gate",
+  toLocation: "Station",
+  availableSeats: seats,
+  dateTime: new Date(Date.now() + 24 * 3600 * 1000),
+  requests: requesters,
+  bookings: requesters.map(userId => ({ userId, seats: 1 })),
+  ...extra
+});
+
+// Just enough of an Express response for a controller
+const fakeResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const accept = async (ride, userId) => {
+  const res = fakeResponse();
+  await decideRequest({
+    user: { id: ride.creatorId, collegeId: ride.creatorCollegeId },
+    body: { rideId: ride._id.toString(), userId, decision: "accept" }
+  }, res);
+  return res;
+};
+
+test("parallel accepts for the last seat confirm one user and answer 409 to the other", { skip }, async () => {
+  const ride = await createRide(1, ["alice", "bob"]);
+
+  const responses = await Promise.all([accept(ride, "alice"), accept(ride, "bob")]);
+
+  assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+  const stored = await Ride.findById(ride._id).lean();
+  assert.equal(stored.confirmedUsers.length, 1);
+  assert.equal(stored.availableSeats, 0);
+  assert.equal(stored.status, "FULL");
+});
+
+test("parallel confirmRequest calls never overbook a ride", { skip }, async () => {
+  const requesters = ["u1", "u2", "u3", "u4", "u5", "u6"];
+  const ride = await createRide(3, requesters);
+
+  const results = await Promise.all(requesters.map(userId => Ride.confirmRequest(ride._id, userId, 1)));
+
+  assert.equal(results.filter(Boolean).length, 3);
+  const stored = await Ride.findById(ride._id).lean();
+  assert.equal(stored.confirmedUsers.length, 3);
+  assert.equal(stored.requests.length, 3);
+  assert.equal(stored.availableSeats, 0);
+});
+
+test("a leave racing an accept keeps the seat count consistent", { skip }, async () => {
+  const ride = await createRide(0, ["bob"], {
+    confirmedUsers: ["alice"],
+    bookings: [{ userId: "alice", seats: 1 }, { userId: "bob", seats: 1 }],
+    status: "FULL"
+  });
+
+  const [left] = await Promise.all([
+    Ride.releaseSeat(ride._id, "alice"),
+    Ride.confirmRequest(ride._id, "bob", 1)
+  ]);
+
+  assert.ok(left);
+  const stored = await Ride.findById(ride._id).lean();
+  assert.equal(stored.availableSeats + Ride.seatsTaken(stored), 1);
+  assert.ok(stored.availableSeats >= 0);
+});
+
+test("leaving twice at once frees the seat only once", { skip }, async () => {
+  const ride = await createRide(1, [], {
+    confirmedUsers: ["alice"],
+    bookings: [{ userId: "alice", seats: 1 }]
+  });
+
+  const results = await Promise.all([
+    Ride.releaseSeat(ride._id, "alice"),
+    Ride.releaseSeat(ride._id, "alice")
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  const stored = await Ride.findById(ride._id).lean();
+  assert.equal(stored.availableSeats, 2);
+  assert.deepEqual(stored.confirmedUsers, []);
+});
+
+test("a cancelled request can no longer be accepted", { skip }, async () => {
+  const ride = await createRide(2, ["alice"]);
+
+  const [withdrawn, confirmed] = await Promise.all([
+    Ride.withdrawRequest(ride._id, "alice"),
+    Ride.confirmRequest(ride._id, "alice", 1)
+  ]);
+
+  // Exactly one of the two wins, and the seats match the outcome
+  assert.notEqual(Boolean(withdrawn), Boolean(confirmed));
+  const stored = await Ride.findById(ride._id).lean();
+  assert.equal(stored.availableSeats, stored.confirmedUsers.includes("alice") ? 1 : 2);
+});
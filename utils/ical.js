@@ -0,0 +1,76 @@
+import Ride from "../models/Ride.js";
+
+// Rides have no end time, so calendar events last this long
+const EVENT_DURATION_MS = 60 * 60 * 1000;
+const PRODID = "-//GoTogether//Rides//EN";
+
+// RFC 5545 text escaping
+const escapeText = (text) => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/;/g, "\\;")
+  .replace(/,/g, "\\,")
+  .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// One VEVENT per ride. The UID stays the same for the ride's lifetime, and
+// every recorded change (time updates, edits) raises SEQUENCE, so calendar
+// apps replace the event they already have; a cancelled ride is sent as
+// STATUS:CANCELLED with one more bump.
+export const rideEvent = (ride, { creatorName, url } = {}) => {
+  const cancelled = ride.status === "CANCELLED";
+  const sequence = (ride.history || []).length + (cancelled ? 1 : 0);
+  const route = Ride.routeOf(ride);
+
+  const description = [
+    `Route: ${route.join(" → ")}`,
+    creatorName && `Created by: ${creatorName}`,
+    ride.fare?.perSeat !== undefined && ride.fare?.perSeat !== null && `Fare per seat: ${ride.fare.perSeat} ${ride.fare.currency}`,
+    ride.additionalNotes && `Notes: ${ride.additionalNotes}`,
+    cancelled && ride.cancellation?.reason && `Cancelled: ${ride.cancellation.reason}`,
+    url
+  ].filter(Boolean).join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:ride-${ride._id}@gotogether`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(ride.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatDate(ride.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(ride.dateTime)}`,
+    `DTEND:${formatDate(new Date(ride.dateTime).getTime() + EVENT_DURATION_MS)}`,
+    `SUMMARY:${escapeText(`${cancelled ? "Cancelled: " : ""}Ride ${ride.fromLocation} → ${ride.toLocation}`)}`,
+    `LOCATION:${escapeText(ride.fromLocation)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT"
+  ];
+};
+
+// A whole VCALENDAR from the lines of its events, CRLF-terminated
+export const buildCalendar = (events, name) => [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  `PRODID:${PRODID}`,
+  "CALSCALE:GREGORIAN",
+  "METHOD:PUBLISH",
+  ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ...events.flat(),
+  "END:VCALENDAR"
+].map(foldLine).join("\r\n") + "\r\n";
@@ -0,0 +1,84 @@
+import { supabaseAdmin } from "../config/supabase.js";
+
+// Look up rows of the `locations` table by display name
+export const findLocationsByName = async (names) => {
+  const { data, error } = await supabaseAdmin
+    .from('locations')
+    .select('id, name, type, latitude, longitude')
+    .in('name', names);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Active `valid_routes` for a college as a Set of "fromId:toId" keys
+export const getActiveRouteKeys = async (collegeId) => {
+  const { data, error } = await supabaseAdmin
+    .from('valid_routes')
+    .select('from_location_id, to_location_id')
+    .eq('college_id', collegeId)
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return new Set((data || []).map(route => `${route.from_location_id}:${route.to_location_id}`));
+};
+
+// Look up rows of the `locations` table by id
+export const findLocationsByIds = async (ids) => {
+  const { data, error } = await supabaseAdmin
+    .from('locations')
+    .select('id, name, type, latitude, longitude')
+    .in('id', ids);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// GeoJSON point for a location, or undefined when it has no coordinates yet
+export const locationPoint = (location) =>
+  location.latitude !== null && location.latitude !== undefined &&
+  location.longitude !== null && location.longitude !== undefined
+    ? { type: "Point", coordinates: [Number(location.longitude), Number(location.latitude)] }
+    : undefined;
+
+// Check a ride's route against the college's active `valid_routes`: the
+// destination and every intermediate stop must be allowed from the starting
+// point. Resolves to { error, field } when the route is not allowed, or to
+// the location ids and coordinates to store alongside the names.
+export const resolveRoute = async (collegeId, fromLocation, toLocation, stops = []) => {
+  const lowered = stops.map(stop => stop.toLowerCase());
+  if (lowered.includes(fromLocation.toLowerCase()) || lowered.includes(toLocation.toLowerCase())) {
+    return { error: "Stops cannot repeat the starting point or destination", field: "stops" };
+  }
+
+  const [locations, routes] = await Promise.all([
+    findLocationsByName([fromLocation, toLocation, ...stops]),
+    getActiveRouteKeys(collegeId)
+  ]);
+  const byName = new Map(locations.map(location => [location.name, location]));
+
+  const origin = byName.get(fromLocation);
+  if (!origin) return { error: "Starting location not found", field: "fromLocation" };
+
+  const destination = byName.get(toLocation);
+  if (!destination) return { error: "Destination not found", field: "toLocation" };
+  if (!routes.has(`${origin.id}:${destination.id}`)) {
+    return { error: `No active route from ${fromLocation} to ${toLocation}`, field: "toLocation" };
+  }
+
+  const unknown = stops.filter(stop => !byName.has(stop));
+  if (unknown.length) return { error: `Unknown stop: ${unknown.join(', ')}`, field: "stops" };
+
+  const unreachable = stops.filter(stop => !routes.has(`${origin.id}:${byName.get(stop).id}`));
+  if (unreachable.length) {
+    return { error: `No active route from ${fromLocation} to ${unreachable.join(', ')}`, field: "stops" };
+  }
+
+  return {
+    fromLocationId: String(origin.id),
+    toLocationId: String(destination.id),
+    stopIds: stops.map(stop => String(byName.get(stop).id)),
+    fromPoint: locationPoint(origin),
+    toPoint: locationPoint(destination)
+  };
+};
@@ -0,0 +1,236 @@
+import Ride from "../models/Ride.js";
+import WantedRide from "../models/WantedRide.js";
+import { findLocationsByName, getActiveRouteKeys } from "./locations.js";
+import { notifyUser } from "./notifications.js";
+import { gendersOf } from "./users.js";
+
+// Pairs below this score are not suggested
+const MIN_MATCH_SCORE = 0.5;
+const MATCH_WEIGHTS = { route: 0.6, time: 0.4 };
+// A ride open to time negotiation can still match a window it misses by this much
+const TIME_SLACK_MS = 60 * 60 * 1000;
+// Rides on the same route leaving this close together are merge candidates
+const MERGE_WINDOW_MS = 30 * 60 * 1000;
+// Drivers told about one new post, best matches first
+const MAX_DRIVER_ALERTS = 5;
+
+const genderAllows = (preferred, gender) =>
+  preferred === "Any" || preferred.toLowerCase() === (gender || "").toLowerCase();
+
+// Location ids by name and the college's active valid_routes, for the
+// locations that appear on the given rides and posts
+const routeContext = async (collegeId, rides, posts) => {
+  const names = [...new Set([
+    ...rides.map(ride => ride.fromLocation),
+    ...posts.map(post => post.toLocation)
+  ])];
+  const [locations, routeKeys] = await Promise.all([
+    findLocationsByName(names),
+    getActiveRouteKeys(collegeId)
+  ]);
+  return { ids: new Map(locations.map(location => [location.name, location.id])), routeKeys };
+};
+
+// "direct" when the post's pickup and drop-off lie in order on the ride's
+// route; "detour" when the pickup does and the college allows the post's
+// destination from the ride's start, so the driver could add it as a stop
+const routeMatch = (ride, post, context) => {
+  const route = Ride.routeOf(ride).map(point => point.toLowerCase());
+  const pickup = route.indexOf(post.fromLocation.toLowerCase());
+  if (pickup === -1 || pickup === route.length - 1) return null;
+  if (route.indexOf(post.toLocation.toLowerCase(), pickup + 1) !== -1) return { kind: "direct", score: 1 };
+
+  const from = context.ids.get(ride.fromLocation);
+  const to = context.ids.get(post.toLocation);
+  if (from && to && context.routeKeys.has(`${from}:${to}`)) return { kind: "detour", score: 0.5 };
+  return null;
+};
+
+// 1 inside the post's window; a negotiable ride scores down to 0.5 across the slack
+const timeScore = (ride, post) => {
+  const at = new Date(ride.dateTime).getTime();
+  const gap = Math.max(new Date(post.earliest).getTime() - at, at - new Date(post.latest).getTime(), 0);
+  if (gap === 0) return 1;
+  if (!ride.timeNegotiation || gap > TIME_SLACK_MS) return null;
+  return 1 - 0.5 * (gap / TIME_SLACK_MS);
+};
+
+// Compatibility of one offer with one post, or null when they cannot pair.
+// Seats, luggage and both sides' gender preferences are hard requirements.
+const scorePair = (ride, post, context, genders) => {
+  if (ride.creatorId === post.posterId) return null;
+  if ([...ride.confirmedUsers, ...ride.requests].includes(post.posterId)) return null;
+  if (ride.availableSeats < post.seats) return null;
+  if (post.luggage && !ride.luggageSpace) return null;
+  if (!genderAllows(ride.preferredGender, genders[post.posterId])) return null;
+  if (!genderAllows(post.preferredGender, genders[ride.creatorId])) return null;
+
+  const route = routeMatch(ride, post, context);
+  if (!route) return null;
+  const time = timeScore(ride, post);
+  if (time === null) return null;
+
+  const score = Math.round((MATCH_WEIGHTS.route * route.score + MATCH_WEIGHTS.time * time) * 1000) / 1000;
+  if (score < MIN_MATCH_SCORE) return null;
+  return { score, routeMatch: route.kind, timeScore: Math.round(time * 1000) / 1000 };
+};
+
+// Score every offer against every post of one college. Returns
+// [{ ride, post, score, routeMatch, timeScore }], best first.
+export const matchPairs = async (collegeId, rides, posts) => {
+  if (!rides.length || !posts.length) return [];
+
+  const [context, genders] = await Promise.all([
+    routeContext(collegeId, rides, posts),
+    gendersOf([...rides.map(ride => ride.creatorId), ...posts.map(post => post.posterId)])
+  ]);
+
+  const pairs = [];
+  rides.forEach(ride => {
+    posts.forEach(post => {
+      const match = scorePair(ride, post, context, genders);
+      if (match) pairs.push({ ride, post, ...match });
+    });
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Open posts whose windows could fit any of the given rides
+export const openPostsNear = (collegeId, rides) => {
+  const times = rides.map(ride => new Date(ride.dateTime).getTime());
+  return WantedRide.find({
+    collegeId,
+    status: "OPEN",
+    earliest: { $lte: new Date(Math.max(...times) + TIME_SLACK_MS) },
+    latest: { $gte: new Date(Math.max(Date.now(), Math.min(...times) - TIME_SLACK_MS)) }
+  }).lean();
+};
+
+// Open offers that could fit any of the given posts
+export const openRidesNear = (collegeId, posts) => {
+  const earliest = Math.min(...posts.map(post => new Date(post.earliest).getTime()));
+  const latest = Math.max(...posts.map(post => new Date(post.latest).getTime()));
+  return Ride.find({
+    creatorCollegeId: collegeId,
+    status: "OPEN",
+    dateTime: {
+      $gte: new Date(Math.max(Date.now(), earliest - TIME_SLACK_MS)),
+      $lte: new Date(latest + TIME_SLACK_MS)
+    }
+  }).select("-history").lean();
+};
+
+const isHalfEmpty = (ride) => {
+  const taken = Ride.seatsTaken(ride);
+  return taken <= (taken + ride.availableSeats) / 2;
+};
+
+// Rides on the same route and about the same time that could absorb `ride`'s
+// whole party (its creator plus confirmed seats), or be absorbed by it. Both
+// must be at most half full and accept each other's riders.
+export const mergeCandidates = (ride, others) => {
+  if (ride.status !== "OPEN" || !isHalfEmpty(ride)) return [];
+  const sameRoute = (a, b) =>
+    a.fromLocation.toLowerCase() === b.fromLocation.toLowerCase() &&
+    a.toLocation.toLowerCase() === b.toLocation.toLowerCase();
+
+  return others
+    .filter(other =>
+      !other._id.equals(ride._id) &&
+      other.creatorId !== ride.creatorId &&
+      other.status === "OPEN" &&
+      sameRoute(ride, other) &&
+      Math.abs(new Date(other.dateTime) - new Date(ride.dateTime)) <= MERGE_WINDOW_MS &&
+      isHalfEmpty(other) &&
+      (ride.preferredGender === other.preferredGender || [ride.preferredGender, other.preferredGender].includes("Any")))
+    .map(other => {
+      // The ride with more free seats hosts the other party
+      const [host, joining] = other.availableSeats >= ride.availableSeats ? [other, ride] : [ride, other];
+      const seatsNeeded = 1 + Ride.seatsTaken(joining);
+      return host.availableSeats >= seatsNeeded ? { host, joining, seatsNeeded } : null;
+    })
+    .filter(Boolean);
+};
+
+// Run matching for rides that were just created, telling posters about a
+// fitting offer, drivers about waiting passengers, and creators about a
+// possible merge. All rides come from one create call, so each person gets
+// at most one notification of each kind.
+export const matchNewRides = async (rides, io) => {
+  if (!rides.length) return;
+  const [first] = rides;
+  const collegeId = first.creatorCollegeId;
+
+  const posts = await openPostsNear(collegeId, rides);
+  const pairs = await matchPairs(collegeId, rides, posts);
+
+  const bestPerPost = new Map();
+  pairs.forEach(pair => {
+    if (!bestPerPost.has(pair.post._id.toString())) bestPerPost.set(pair.post._id.toString(), pair);
+  });
+
+  for (const { ride, post } of bestPerPost.values()) {
+    await notifyUser(io, {
+      userId: post.posterId,
+      type: "match-found",
+      title: `A ride matches your request: ${ride.fromLocation} → ${ride.toLocation}`,
+      body: `A ride leaving ${new Date(ride.dateTime).toUTCString()} fits your ride-wanted post. Request a seat before it fills up.`,
+      rideId: ride._id
+    });
+  }
+
+  if (bestPerPost.size) {
+    await notifyUser(io, {
+      userId: first.creatorId,
+      type: "match-found",
+      title: `${bestPerPost.size} passenger(s) looking for your ride`,
+      body: `People posted ride-wanted requests that fit your ride from ${first.fromLocation} to ${first.toLocation}. See your match suggestions.`,
+      rideId: first._id
+    });
+  }
+
+  // Only the next occurrence of a series is worth a merge suggestion
+  const others = await Ride.find({
+    creatorCollegeId: collegeId,
+    status: "OPEN",
+    dateTime: {
+      $gte: new Date(new Date(first.dateTime).getTime() - MERGE_WINDOW_MS),
+      $lte: new Date(new Date(first.dateTime).getTime() + MERGE_WINDOW_MS)
+    }
+  }).select("-history").lean();
+  const [merge] = mergeCandidates(first, others);
+  if (merge) {
+    const other = merge.host._id.equals(first._id) ? merge.joining : merge.host;
+    await Promise.all([first.creatorId, other.creatorId].map(userId => notifyUser(io, {
+      userId,
+      type: "merge-suggested",
+      title: `Share one cab: ${first.fromLocation} → ${first.toLocation}`,
+      body: `Two half-empty rides on this route leave within ${MERGE_WINDOW_MS / 60000} minutes of each other. Merging them lowers everyone's fare.`,
+      rideId: userId === first.creatorId ? first._id : other._id
+    })));
+  }
+};
+
+// Run matching for a ride-wanted post that was just created
+export const matchNewPost = async (post, io) => {
+  const rides = await openRidesNear(post.collegeId, [post]);
+  const pairs = await matchPairs(post.collegeId, rides, [post]);
+  if (!pairs.length) return;
+
+  const [best] = pairs;
+  await notifyUser(io, {
+    userId: post.posterId,
+    type: "match-found",
+    title: `${pairs.length} ride(s) match your request`,
+    body: `The best fit leaves ${new Date(best.ride.dateTime).toUTCString()} from ${best.ride.fromLocation} to ${best.ride.toLocation}.`,
+    rideId: best.ride._id
+  });
+
+  await Promise.all(pairs.slice(0, MAX_DRIVER_ALERTS).map(({ ride }) => notifyUser(io, {
+    userId: ride.creatorId,
+    type: "match-found",
+    title: `A passenger is looking for your ride: ${post.fromLocation} → ${post.toLocation}`,
+    body: `Someone needs ${post.seats} seat(s) between ${new Date(post.earliest).toUTCString()} and ${new Date(post.latest).toUTCString()}. See your match suggestions.`,
+    rideId: ride._id
+  })));
+};
@@ -0,0 +1,34 @@
+import Notification from "../models/Notification.js";
+import { sendEmail } from "../config/mailer.js";
+import xss from "xss";
+
+const RETENTION_DAYS = 30;
+
+// Deliver an alert to one user: stored for the in-app list and pushed to the
+// user's socket room when `inApp` is set, and emailed when `email` is given.
+// Email failures are logged, never thrown, so callers can fire and forget.
+export const notifyUser = async (io, { userId, type, title, body, rideId, inApp = true, email }) => {
+  let notification = null;
+
+  if (inApp) {
+    notification = await Notification.create({
+      userId,
+      type,
+      title,
+      body,
+      rideId,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 3600 * 1000)
+    });
+    if (io) io.to(`user:${userId}`).emit("notification:new", notification.toObject());
+  }
+
+  if (email?.to) {
+    try {
+      await sendEmail({ to: email.to, subject: title, html: email.html || `<p>${xss(body || title)}</p>` });
+    } catch (mailError) {
+      console.error(`Failed to email ${type} notification:`, mailError);
+    }
+  }
+
+  return notification;
+};
@@ -0,0 +1,29 @@
+const DAY_MS = 24 * 3600 * 1000;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+export const MAX_OCCURRENCES = 60;
+export const MAX_SERIES_DAYS = 90;
+
+// Days of the week (0 = Sunday) a series runs on, in the creator's local time
+export const seriesDays = ({ frequency, daysOfWeek = [] }, start, utcOffset = 0) => {
+  if (frequency === "daily") return [0, 1, 2, 3, 4, 5, 6];
+  if (frequency === "weekdays") return WEEKDAYS;
+  if (frequency === "weekly") return [localDay(start, utcOffset)];
+  return [...new Set(daysOfWeek)];
+};
+
+const localDay = (date, utcOffset) => new Date(date.getTime() + utcOffset * 60 * 1000).getUTCDay();
+
+// Expand a recurrence into the departure times of every occurrence, keeping
+// the time of day of `start` and stopping at `until` or MAX_OCCURRENCES.
+export const buildOccurrences = (start, { frequency, daysOfWeek, until, utcOffset = 0 }) => {
+  const days = new Set(seriesDays({ frequency, daysOfWeek }, start, utcOffset));
+  const end = Math.min(new Date(until).getTime(), start.getTime() + MAX_SERIES_DAYS * DAY_MS);
+  const occurrences = [];
+
+  for (let t = start.getTime(); t <= end && occurrences.length < MAX_OCCURRENCES; t += DAY_MS) {
+    const date = new Date(t);
+    if (days.has(localDay(date, utcOffset))) occurrences.push(date);
+  }
+  return occurrences;
+};
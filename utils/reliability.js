@@ -0,0 +1,76 @@
+import Ride, { FINISHED_STATUSES } from "../models/Ride.js";
+import RideCompletion from "../models/RideCompletion.js";
+import RideLeave from "../models/RideLeave.js";
+import NoShowReport from "../models/NoShowReport.js";
+
+// Reliability per user, keyed by user ID. Completed rides are the user's
+// RideCompletion records, plus finished rides still on record from before
+// those were kept; late leaves and upheld no-shows count against them,
+// no-shows twice as much.
+export const reliabilityFor = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  if (!ids.length) return {};
+
+  const now = new Date();
+  const [completed, lateLeaves, noShows] = await Promise.all([
+    RideCompletion.aggregate([
+      { $match: { userId: { $in: ids } } },
+      { $project: { _id: 0, rideId: 1, userId: 1 } },
+      {
+        $unionWith: {
+          coll: Ride.collection.name,
+          pipeline: [
+            {
+              $match: {
+                status: { $in: FINISHED_STATUSES },
+                dateTime: { $lt: now },
+                $or: [{ creatorId: { $in: ids } }, { confirmedUsers: { $in: ids } }]
+              }
+            },
+            { $project: { _id: 0, rideId: "$_id", userId: { $setUnion: [["$creatorId"], "$confirmedUsers"] } } },
+            { $unwind: "$userId" },
+            { $match: { userId: { $in: ids } } }
+          ]
+        }
+      },
+      // A ride in both collections counts once
+      { $group: { _id: "$userId", rides: { $addToSet: "$rideId" } } },
+      { $project: { count: { $size: "$rides" } } }
+    ]),
+    RideLeave.aggregate([
+      { $match: { userId: { $in: ids }, isLate: true } },
+      { $group: { _id: "$userId", count: { $sum: 1 } } }
+    ]),
+    NoShowReport.aggregate([
+      { $match: { reportedId: { $in: ids }, ...NoShowReport.upheldQuery(now) } },
+      { $group: { _id: "$reportedId", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countMap = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+  const completedMap = countMap(completed);
+  const lateMap = countMap(lateLeaves);
+  const noShowMap = countMap(noShows);
+
+  const result = {};
+  ids.forEach(id => {
+    result[id] = reliabilityScore({
+      completedRides: completedMap[id] || 0,
+      lateLeaves: lateMap[id] || 0,
+      noShows: noShowMap[id] || 0
+    });
+  });
+  return result;
+};
+
+// The score is 0-100 and starts at 100 with one imaginary completed ride, so
+// a single slip doesn't sink a new user
+export const reliabilityScore = ({ completedRides, lateLeaves, noShows }) => {
+  const good = completedRides + 1;
+  return {
+    score: Math.round(100 * good / (good + lateLeaves + 2 * noShows)),
+    completedRides,
+    lateLeaves,
+    noShows
+  };
+};
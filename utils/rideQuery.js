@@ -0,0 +1,117 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Query parameters shared by the ride listing endpoints
+export const paginationKeys = {
+  cursor: Joi.string().max(200).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+};
+
+export const rideFilterKeys = {
+  minSeats: Joi.number().integer().min(1).max(10).optional(),
+  luggage: Joi.boolean().optional(),
+  allowChat: Joi.boolean().optional(),
+  timeNegotiation: Joi.boolean().optional(),
+  timeFrom: Joi.string().pattern(TIME_PATTERN).optional(),
+  timeTo: Joi.string().pattern(TIME_PATTERN).optional(),
+  utcOffset: Joi.number().integer().min(-840).max(840).default(0)
+};
+
+// Cursors are opaque to clients: the (dateTime, _id) of the last ride on the
+// previous page, base64url-encoded. `field` names another date to page on.
+export const encodeCursor = (doc, field = "dateTime") =>
+  Buffer.from(JSON.stringify([new Date(doc[field]).toISOString(), doc._id.toString()])).toString("base64url");
+
+// Resolves to null when the cursor is malformed
+export const decodeCursor = (cursor) => {
+  try {
+    const [dateTime, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const date = new Date(dateTime);
+    if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { at: date, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Ranked results page in (score desc, _id) order instead
+export const encodeRankCursor = (ride) =>
+  Buffer.from(JSON.stringify([ride.score, ride._id.toString()])).toString("base64url");
+
+export const decodeRankCursor = (cursor) => {
+  try {
+    const [score, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof score !== "number" || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { score, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Condition for documents strictly after the cursor in (field, _id) order
+export const afterCursor = ({ at, id }, field = "dateTime") => ({
+  $or: [
+    { [field]: { $gt: at } },
+    { [field]: at, _id: { $gt: id } }
+  ]
+});
+
+export const afterRankCursor = ({ score, id }) => ({
+  $or: [
+    { score: { $lt: score } },
+    { score, _id: { $gt: id } }
+  ]
+});
+
+// Callers fetch one ride more than `limit` to know whether another page exists
+export const pageOf = (rides, limit, encode = encodeCursor) => {
+  const page = rides.slice(0, limit);
+  return {
+    rides: page,
+    nextCursor: rides.length > limit ? encode(page[page.length - 1]) : null
+  };
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// "+05:30" style offset understood by the date operators
+export const offsetString = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+};
+
+// Mongo conditions for the optional ride filters in `query`
+export const rideFilterConditions = (query) => {
+  const conditions = [];
+
+  if (query.minSeats) conditions.push({ availableSeats: { $gte: query.minSeats } });
+  if (query.luggage !== undefined) conditions.push({ luggageSpace: query.luggage });
+  if (query.allowChat !== undefined) conditions.push({ allowChat: query.allowChat });
+  if (query.timeNegotiation !== undefined) conditions.push({ timeNegotiation: query.timeNegotiation });
+
+  if (query.timeFrom && query.timeTo) {
+    const timezone = offsetString(query.utcOffset || 0);
+    const minutes = {
+      $add: [
+        { $multiply: [{ $hour: { date: "$dateTime", timezone } }, 60] },
+        { $minute: { date: "$dateTime", timezone } }
+      ]
+    };
+    const start = toMinutes(query.timeFrom);
+    const end = toMinutes(query.timeTo);
+    // A window like 22:00-02:00 wraps past midnight
+    conditions.push({
+      $expr: start <= end
+        ? { $and: [{ $gte: [minutes, start] }, { $lte: [minutes, end] }] }
+        : { $or: [{ $gte: [minutes, start] }, { $lte: [minutes, end] }] }
+    });
+  }
+
+  return conditions;
+};
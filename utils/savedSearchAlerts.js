@@ -0,0 +1,135 @@
+import SavedSearch from "../models/SavedSearch.js";
+import Ride from "../models/Ride.js";
+import { supabaseAdmin } from "../config/supabase.js";
+import { notifyUser } from "./notifications.js";
+import { gendersOf } from "./users.js";
+import xss from "xss";
+
+// A saved search alerts at most once per cooldown, and a user gets alerts
+// from at most MAX_ALERTING_SEARCHES_PER_HOUR of their searches per hour
+const ALERT_COOLDOWN_MS = Number(process.env.SAVED_SEARCH_COOLDOWN_MINUTES || 30) * 60 * 1000;
+const MAX_ALERTING_SEARCHES_PER_HOUR = Number(process.env.SAVED_SEARCH_HOURLY_ALERTS || 3);
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Whether the searched from/to appear in order along the ride's route,
+// using the same case-insensitive partial match as searchRides
+const matchesRoute = (ride, search) => {
+  const route = Ride.routeOf(ride).map(point => point.toLowerCase());
+  const from = search.from?.toLowerCase();
+  const to = search.to?.toLowerCase();
+
+  const pickup = from ? route.slice(0, -1).findIndex(point => point.includes(from)) : 0;
+  if (pickup === -1) return false;
+  if (!to) return true;
+  return route.slice(pickup + 1).some(point => point.includes(to));
+};
+
+// `gender` is the subscriber's own: rides reserved for another gender would
+// refuse their request, so they never alert
+export const rideMatchesSearch = (ride, search, gender) => {
+  if (!matchesRoute(ride, search)) return false;
+
+  if (ride.preferredGender !== "Any" && ride.preferredGender.toLowerCase() !== (gender || "").toLowerCase()) {
+    return false;
+  }
+
+  if (search.preferredGender !== "Any" && !["Any", search.preferredGender].includes(ride.preferredGender)) {
+    return false;
+  }
+
+  const local = new Date(new Date(ride.dateTime).getTime() + (search.utcOffset || 0) * 60 * 1000);
+  if (search.date && local.toISOString().slice(0, 10) !== search.date) return false;
+  if (search.daysOfWeek?.length && !search.daysOfWeek.includes(local.getUTCDay())) return false;
+
+  if (search.timeFrom && search.timeTo) {
+    const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const start = toMinutes(search.timeFrom);
+    const end = toMinutes(search.timeTo);
+    // A window like 22:00-02:00 wraps past midnight
+    const inWindow = start <= end ? minutes >= start && minutes <= end : minutes >= start || minutes <= end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+// Tell users whose saved searches match newly created rides. All rides come
+// from one createRide call (a single ride or a recurring series), so each
+// matching search gets one alert for the whole batch.
+export const alertSavedSearches = async (rides, io) => {
+  if (!rides.length) return;
+  const [first] = rides;
+
+  const searches = await SavedSearch.find({
+    collegeId: first.creatorCollegeId,
+    userId: { $ne: first.creatorId },
+    paused: false
+  }).lean();
+
+  const genders = await gendersOf(searches.map(search => search.userId));
+  const matches = searches
+    .map(search => ({ search, rides: rides.filter(ride => rideMatchesSearch(ride, search, genders[search.userId])) }))
+    .filter(match => match.rides.length > 0);
+  if (!matches.length) return;
+
+  const emailUserIds = [...new Set(matches.filter(m => m.search.notifyEmail).map(m => m.search.userId))];
+  let emailMap = {};
+  if (emailUserIds.length) {
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, email')
+      .in('id', emailUserIds);
+    if (error) console.error("Error fetching saved search emails:", error);
+    (users || []).forEach(user => { emailMap[user.id] = user.email; });
+  }
+
+  for (const { search, rides: matched } of matches) {
+    const now = new Date();
+
+    const recentlyAlerted = await SavedSearch.countDocuments({
+      userId: search.userId,
+      lastAlertAt: { $gte: new Date(now.getTime() - 3600 * 1000) }
+    });
+    if (recentlyAlerted >= MAX_ALERTING_SEARCHES_PER_HOUR) continue;
+
+    // Claim the cooldown atomically so concurrent ride creations alert once
+    const claimed = await SavedSearch.updateOne(
+      {
+        _id: search._id,
+        $or: [{ lastAlertAt: null }, { lastAlertAt: { $lte: new Date(now.getTime() - ALERT_COOLDOWN_MS) } }]
+      },
+      { $set: { lastAlertAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const [ride] = matched;
+    const title = `New ride: ${ride.fromLocation} → ${ride.toLocation}`;
+    const body = matched.length > 1
+      ? `${matched.length} new rides match your saved search "${search.name || 'ride alert'}", starting ${new Date(ride.dateTime).toUTCString()}`
+      : `A new ride matches your saved search "${search.name || 'ride alert'}": ${new Date(ride.dateTime).toUTCString()}`;
+
+    await notifyUser(io, {
+      userId: search.userId,
+      type: "saved-search",
+      title,
+      body,
+      rideId: ride._id,
+      inApp: search.notifyInApp,
+      email: search.notifyEmail && emailMap[search.userId]
+        ? {
+            to: emailMap[search.userId],
+            html: `
+              <div style="font-family:Arial,sans-serif;line-height:1.6">
+                <p>${xss(body)}.</p>
+                <p>Open GoTogether to request a seat. You can pause or delete this alert from your saved searches.</p>
+              </div>
+            `
+          }
+        : undefined
+    });
+  }
+};
@@ -0,0 +1,30 @@
+import { supabaseAdmin } from "../config/supabase.js";
+
+// req.user does not carry gender, so it is looked up when needed
+export const genderOf = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('gender')
+    .eq('id', userId)
+    .single();
+  if (error) throw error;
+  return data?.gender || null;
+};
+
+// Genders of several users, keyed by user ID
+export const gendersOf = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  if (!ids.length) return {};
+
+  const { data, error } = await supabaseAdmin
+    .from('users')
+    .select('id, gender')
+    .in('id', ids);
+  if (error) throw error;
+
+  const genders = {};
+  (data || []).forEach(user => {
+    genders[user.id] = user.gender;
+  });
+  return genders;
+};